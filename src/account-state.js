@@ -0,0 +1,200 @@
+// =====================================================
+// ACCOUNT STATE (Durable Object)
+// Satu instance per UUID, menyimpan counter trafik dan sesi aktif
+// secara konsisten. Instance REGISTRY_NAME menyimpan jumlah akun untuk
+// MAX_ACCOUNTS, instance "ip:<addr>" menyimpan counter rate limit.
+// =====================================================
+
+import { StorageUnavailableError } from './accounts.js';
+import { releaseSlots, reserveSlots } from './limits.js';
+import { applyFailure, applyHit } from './ratelimit.js';
+
+export const DEFAULT_STATE_BINDING = 'ACCOUNT_STATE';
+
+const EMPTY_USAGE = { upload: 0, download: 0 };
+
+// Sesi tanpa heartbeat lebih dari ini dianggap mati (isolate hilang
+// tanpa sempat release)
+export const SESSION_LEASE = 3 * 60 * 1000;
+
+export class AccountState {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+  }
+
+  async fetch(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname === '/usage' && request.method === 'GET') {
+      return Response.json(await this.getUsage());
+    }
+
+    if (url.pathname === '/usage' && request.method === 'POST') {
+      const delta = await request.json();
+      return Response.json(await this.addUsage(delta));
+    }
+
+    if (url.pathname === '/usage/reset' && request.method === 'POST') {
+      await this.state.storage.put('usage', EMPTY_USAGE);
+      return Response.json(EMPTY_USAGE);
+    }
+
+    if (url.pathname === '/sessions' && request.method === 'GET') {
+      return Response.json({ active: (await this.getSessions()).size });
+    }
+
+    if (url.pathname === '/sessions/acquire' && request.method === 'POST') {
+      const result = await this.acquireSession(await request.json());
+      return Response.json(result, { status: result.allowed ? 200 : 409 });
+    }
+
+    if (url.pathname === '/sessions/renew' && request.method === 'POST') {
+      const { sessionId } = await request.json();
+      return Response.json(await this.renewSession(sessionId));
+    }
+
+    if (url.pathname === '/sessions/release' && request.method === 'POST') {
+      const { sessionId } = await request.json();
+      return Response.json(await this.releaseSession(sessionId));
+    }
+
+    if (url.pathname === '/registry/reserve' && request.method === 'POST') {
+      const result = await this.reserveAccounts(await request.json());
+      return Response.json(result, { status: result.allowed || result.seeded === false ? 200 : 409 });
+    }
+
+    if (url.pathname === '/registry/release' && request.method === 'POST') {
+      return Response.json(await this.releaseAccounts(await request.json()));
+    }
+
+    if (url.pathname === '/registry/seed' && request.method === 'POST') {
+      return Response.json(await this.seedRegistry(await request.json()));
+    }
+
+    if (url.pathname === '/ratelimit/hit' && request.method === 'POST') {
+      return Response.json(await this.updateRateLimit(applyHit, await request.json()));
+    }
+
+    if (url.pathname === '/ratelimit/fail' && request.method === 'POST') {
+      return Response.json(await this.updateRateLimit(applyFailure, await request.json()));
+    }
+
+    return new Response('Not found', { status: 404 });
+  }
+
+  async getUsage() {
+    return (await this.state.storage.get('usage')) || EMPTY_USAGE;
+  }
+
+  async addUsage({ upload = 0, download = 0 }) {
+    const usage = await this.getUsage();
+    const next = {
+      upload: usage.upload + Math.max(0, Number(upload) || 0),
+      download: usage.download + Math.max(0, Number(download) || 0)
+    };
+    await this.state.storage.put('usage', next);
+    return next;
+  }
+
+  // Map sessionId -> batas lease; entri kedaluwarsa dibuang saat dibaca
+  async getSessions(now = Date.now()) {
+    const stored = (await this.state.storage.get('sessions')) || {};
+    return new Map(Object.entries(stored).filter(([, expires]) => expires > now));
+  }
+
+  async saveSessions(sessions) {
+    await this.state.storage.put('sessions', Object.fromEntries(sessions));
+  }
+
+  async acquireSession({ sessionId, limit = 0 }) {
+    const sessions = await this.getSessions();
+    if (limit > 0 && sessions.size >= limit) {
+      return { allowed: false, active: sessions.size };
+    }
+
+    sessions.set(sessionId, Date.now() + SESSION_LEASE);
+    await this.saveSessions(sessions);
+    return { allowed: true, active: sessions.size };
+  }
+
+  async renewSession(sessionId) {
+    const sessions = await this.getSessions();
+    if (sessions.has(sessionId)) {
+      sessions.set(sessionId, Date.now() + SESSION_LEASE);
+    }
+    await this.saveSessions(sessions);
+    return { active: sessions.size };
+  }
+
+  // Registry: { total, creators: { [creator]: n } }; get-modify-put tanpa
+  // await lain di antaranya, jadi reserve bersamaan diproses berurutan
+  async reserveAccounts(request) {
+    const registry = await this.state.storage.get('registry');
+    if (!registry) return { allowed: false, seeded: false };
+
+    const result = reserveSlots(registry, request);
+    if (result.allowed) await this.state.storage.put('registry', registry);
+    return result;
+  }
+
+  async releaseAccounts(request) {
+    const registry = await this.state.storage.get('registry');
+    if (!registry) return { total: 0 };
+
+    releaseSlots(registry, request);
+    await this.state.storage.put('registry', registry);
+    return { total: registry.total };
+  }
+
+  async seedRegistry({ total = 0, creators = {}, force = false }) {
+    const current = await this.state.storage.get('registry');
+    if (current && !force) return { total: current.total };
+
+    await this.state.storage.put('registry', { total, creators });
+    return { total };
+  }
+
+  async updateRateLimit(apply, limits) {
+    const state = (await this.state.storage.get('ratelimit')) || { hits: null, failures: null, bannedUntil: 0 };
+    const result = apply(state, limits);
+    await this.state.storage.put('ratelimit', state);
+    return result;
+  }
+
+  async releaseSession(sessionId) {
+    const sessions = await this.getSessions();
+    sessions.delete(sessionId);
+    await this.saveSessions(sessions);
+    return { active: sessions.size };
+  }
+}
+
+// Namespace Durable Object yang dikonfigurasi, atau null di luar production
+// (pemanggil memakai fallback in-memory). Di production binding wajib ada.
+export function resolveStateNamespace(env) {
+  const bindingName = env.STATE_BINDING || DEFAULT_STATE_BINDING;
+  if (env[bindingName]) return env[bindingName];
+
+  if (env.ENVIRONMENT === 'production') {
+    throw new StorageUnavailableError(`Durable Object binding "${bindingName}" is not configured`);
+  }
+  return null;
+}
+
+export async function callAccountState(namespace, uuid, path, init) {
+  const stub = namespace.get(namespace.idFromName(uuid));
+  const response = await stub.fetch(`https://account-state${path}`, init);
+  if (!response.ok && response.status !== 409) {
+    throw new Error(`Account state returned ${response.status}`);
+  }
+  return response.json();
+}
+
+export function jsonInit(body) {
+  return {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  };
+}
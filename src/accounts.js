@@ -0,0 +1,603 @@
+// =====================================================
+// ACCOUNT REPOSITORY
+// Satu pintu untuk semua akses ke penyimpanan akun VLESS
+// =====================================================
+
+import { base64UrlEncode } from './encoding.js';
+import { DEFAULT_WS_PATH, defaultWsPath, normalizePath } from './routing.js';
+import { generateSsPassword } from './shadowsocks.js';
+import { trojanPasswordHash } from './trojan.js';
+
+export const DEFAULT_ACCOUNTS_BINDING = 'VLESS_ACCOUNTS';
+
+// Nama binding lama yang pernah dipakai worker.js
+const LEGACY_BINDINGS = ['VLESS_KV'];
+
+const ACCOUNT_CACHE_TTL = 60 * 1000;
+const NEGATIVE_CACHE_TTL = 30 * 1000;
+const ACCOUNT_CACHE_MAX = 1000;
+
+// Key akun: acct:<uuid>, supaya listing cukup list({ prefix }) tanpa
+// melewati key index. Akun lama tersimpan di key <uuid> polos; masih dibaca
+// dan dipindah saat disimpan ulang atau oleh migrateLegacyAccounts (cron).
+const ACCOUNT_PREFIX = 'acct:';
+const LEGACY_ACCOUNT_KEY = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Key index subscription: sub:<token> -> uuid
+const SUB_INDEX_PREFIX = 'sub:';
+// Index akun Trojan: trojan:<hex sha224(uuid)> -> uuid
+const TROJAN_INDEX_PREFIX = 'trojan:';
+// Index path WebSocket: satu key per akun, path:<path>:<uuid> -> uuid.
+// Akun di DEFAULT_PATH tidak diindex (path itu selalu diterima router).
+const PATH_INDEX_PREFIX = 'path:';
+
+export const PROTOCOLS = ['vless', 'trojan', 'shadowsocks'];
+
+// Listing: ukuran halaman KV list() dan batas halaman KV per request API
+const KV_LIST_LIMIT = 1000;
+const MAX_LIST_SCANS = 5;
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+// Field akun yang disimpan di metadata KV (maks 1024 byte) untuk listing
+const SUMMARY_FIELDS = [
+  'protocol', 'server', 'sni', 'port', 'path', 'security', 'expiresAt', 'suspended',
+  'quotaBytes', 'maxConnections', 'subToken', 'created', 'createdBy'
+];
+
+export const ACCOUNT_STATUSES = ['active', 'expired', 'suspended'];
+
+// Lookup cache per isolate: akun valid selama ACCOUNT_CACHE_TTL, UUID yang
+// tidak dikenal selama NEGATIVE_CACHE_TTL agar scan UUID tidak memicu satu
+// read KV per WebSocket.
+const accountCache = new Map();
+
+// Backend in-memory dibagi per isolate supaya `wrangler dev` tanpa KV tetap
+// menyimpan akun antar request.
+let sharedMemoryBackend = null;
+
+export class StorageUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StorageUnavailableError';
+  }
+}
+
+// `fields` (opsional): pesan error per field input
+export class ValidationError extends Error {
+  constructor(message, fields = null) {
+    super(message);
+    this.name = 'ValidationError';
+    this.fields = fields;
+  }
+}
+
+// Akun dengan UUID yang sama sudah ada dan update tidak diminta
+export class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConflictError';
+  }
+}
+
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+  }
+}
+
+// In-memory backend dengan subset API KVNamespace (get/put/delete/list),
+// untuk test dan development lokal.
+export function createMemoryBackend() {
+  const store = new Map();
+
+  return {
+    async get(key) {
+      const entry = store.get(key);
+      return entry ? entry.value : null;
+    },
+
+    async put(key, value, options = {}) {
+      store.set(key, { value, metadata: options.metadata ?? null });
+    },
+
+    async delete(key) {
+      store.delete(key);
+    },
+
+    async list(options = {}) {
+      const prefix = options.prefix || '';
+      const limit = options.limit || 1000;
+      const names = [...store.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = options.cursor ? Number(options.cursor) : 0;
+      const keys = names.slice(start, start + limit).map(name => ({
+        name,
+        metadata: store.get(name).metadata ?? undefined
+      }));
+      const next = start + keys.length;
+      const complete = next >= names.length;
+
+      return {
+        keys,
+        list_complete: complete,
+        cursor: complete ? undefined : String(next)
+      };
+    }
+  };
+}
+
+// Cari KV binding yang dikonfigurasi. Di production storage wajib ada;
+// di luar production fallback ke backend in-memory.
+export function resolveAccountBackend(env) {
+  const bindingName = env.ACCOUNTS_BINDING || DEFAULT_ACCOUNTS_BINDING;
+  const candidates = [bindingName, ...LEGACY_BINDINGS];
+
+  for (const name of candidates) {
+    if (env[name]) return env[name];
+  }
+
+  if (env.ENVIRONMENT === 'production') {
+    throw new StorageUnavailableError(
+      `KV binding "${bindingName}" is not configured; refusing to run without account storage in production`
+    );
+  }
+
+  if (!sharedMemoryBackend) {
+    console.warn(`[Accounts] KV binding "${bindingName}" not found, using in-memory storage`);
+    sharedMemoryBackend = createMemoryBackend();
+  }
+  return sharedMemoryBackend;
+}
+
+// defaultPath: DEFAULT_PATH worker, akun di path ini tidak masuk index path
+export function createAccountRepository(backend, { defaultPath = DEFAULT_WS_PATH } = {}) {
+  const indexedPath = (account) => accountIndexedPath(account, defaultPath);
+
+  // Tambah/hapus key index path milik satu akun
+  async function updatePathIndex(path, account, present) {
+    const key = pathIndexKey(path, account.uuid);
+    if (present) {
+      await backend.put(key, account.uuid);
+    } else {
+      await backend.delete(key);
+    }
+    accountCache.delete(PATH_INDEX_PREFIX + path);
+  }
+
+  // Akun dari acct:<uuid>, atau dari key lama <uuid> (legacy: true)
+  async function readAccount(uuid) {
+    const data = await backend.get(accountKey(uuid));
+    if (data) return { account: JSON.parse(data), legacy: false };
+    if (!LEGACY_ACCOUNT_KEY.test(uuid)) return { account: null, legacy: false };
+
+    const legacy = await backend.get(uuid);
+    return legacy ? { account: JSON.parse(legacy), legacy: true } : { account: null, legacy: false };
+  }
+
+  async function deleteAccountKey(uuid, legacy) {
+    await backend.delete(accountKey(uuid));
+    if (legacy) await backend.delete(uuid);
+  }
+
+  return {
+    // Satu halaman akun dalam bentuk ringkasan dari metadata KV, tanpa
+    // get() per key. Cursor: "<offset>.<cursor KV>" supaya halaman bisa
+    // berhenti di tengah halaman KV saat filter aktif. Cursor hanya
+    // dikembalikan jika masih ada akun yang cocok setelah halaman ini.
+    async listPage({ cursor = null, limit = DEFAULT_PAGE_SIZE, filter = {}, now = Date.now() } = {}) {
+      let { offset, kvCursor } = decodeListCursor(cursor);
+      const accounts = [];
+
+      for (let scan = 0; scan < MAX_LIST_SCANS; scan++) {
+        const page = await backend.list({ prefix: ACCOUNT_PREFIX, cursor: kvCursor, limit: KV_LIST_LIMIT });
+
+        for (let i = offset; i < page.keys.length; i++) {
+          const summary = await this.summarize(page.keys[i]);
+          if (!summary || !matchesAccountFilter(summary, filter, now)) continue;
+          if (accounts.length >= limit) {
+            return { accounts, cursor: encodeListCursor(i, kvCursor) };
+          }
+          accounts.push(summary);
+        }
+
+        if (page.list_complete) return { accounts, cursor: null };
+        kvCursor = page.cursor;
+        offset = 0;
+      }
+
+      // Batas scan per request tercapai; client lanjut dengan cursor
+      return { accounts, cursor: encodeListCursor(0, kvCursor) };
+    },
+
+    // Semua ringkasan akun, untuk proses internal seperti sweep cron
+    async list() {
+      const accounts = [];
+      let cursor = null;
+
+      do {
+        const page = await this.listPage({ cursor, limit: KV_LIST_LIMIT });
+        accounts.push(...page.accounts);
+        cursor = page.cursor;
+      } while (cursor);
+
+      return accounts;
+    },
+
+    // Key akun lama yang disimpan sebelum ada metadata dibaca penuh
+    async summarize(key) {
+      const uuid = key.name.slice(ACCOUNT_PREFIX.length);
+      if (key.metadata) return { uuid, ...key.metadata };
+      const account = await this.get(uuid);
+      return account ? accountSummary(account) : null;
+    },
+
+    async get(uuid) {
+      return (await readAccount(uuid)).account;
+    },
+
+    async save(account) {
+      const previous = await readAccount(account.uuid);
+      const previousPath = indexedPath(previous.account);
+      const path = indexedPath(account);
+
+      await backend.put(accountKey(account.uuid), JSON.stringify(account), {
+        metadata: accountSummary(account)
+      });
+      if (previous.legacy) {
+        await backend.delete(account.uuid);
+      }
+      if (account.subToken) {
+        await backend.put(SUB_INDEX_PREFIX + account.subToken, account.uuid);
+      }
+      if (accountProtocol(account) === 'trojan') {
+        await backend.put(trojanIndexKey(account.uuid), account.uuid);
+      }
+      if (previousPath && previousPath !== path) {
+        await updatePathIndex(previousPath, account, false);
+      }
+      if (path) {
+        await updatePathIndex(path, account, true);
+      }
+      invalidateAccountCache(account.uuid);
+      return account;
+    },
+
+    // Simpan akun baru tanpa menimpa key yang sudah ada. Dengan
+    // `update: true` akun lama diganti, tetapi `created` dan subToken-nya
+    // dipertahankan agar link subscription tidak berubah.
+    async create(account, { update = false } = {}) {
+      const existing = await this.get(account.uuid);
+      if (!existing) return this.save(account);
+
+      if (!update) {
+        throw new ConflictError(`Account ${account.uuid} already exists`);
+      }
+      return this.save({
+        ...account,
+        subToken: existing.subToken || account.subToken,
+        created: existing.created || account.created,
+        createdBy: existing.createdBy || account.createdBy,
+        updated: new Date().toISOString()
+      });
+    },
+
+    // Ganti UUID akun. Akun baru ditulis lebih dulu (subToken ikut pindah,
+    // index sub: menunjuk UUID baru), baru key lama dihapus.
+    async rotate(uuid, nextUuid = crypto.randomUUID()) {
+      const { account, legacy } = await readAccount(uuid);
+      if (!account) throw new NotFoundError(`Account ${uuid} not found`);
+
+      // Key Shadowsocks tidak terikat UUID, jadi ikut diganti
+      const rotated = await this.create({
+        ...account,
+        ...(accountProtocol(account) === 'shadowsocks' ? { ssPassword: generateSsPassword() } : {}),
+        uuid: nextUuid,
+        rotatedFrom: uuid,
+        updated: new Date().toISOString()
+      });
+      await deleteAccountKey(uuid, legacy);
+      if (accountProtocol(account) === 'trojan') {
+        await backend.delete(trojanIndexKey(uuid));
+      }
+      if (indexedPath(account)) {
+        await updatePathIndex(indexedPath(account), account, false);
+      }
+      invalidateAccountCache(uuid);
+      return rotated;
+    },
+
+    async remove(uuid) {
+      const { account, legacy } = await readAccount(uuid);
+      await deleteAccountKey(uuid, legacy);
+      if (account && account.subToken) {
+        await backend.delete(SUB_INDEX_PREFIX + account.subToken);
+      }
+      if (account && accountProtocol(account) === 'trojan') {
+        await backend.delete(trojanIndexKey(uuid));
+      }
+      if (account && indexedPath(account)) {
+        await updatePathIndex(indexedPath(account), account, false);
+      }
+      invalidateAccountCache(uuid);
+      return account;
+    },
+
+    async findBySubToken(token) {
+      const uuid = await backend.get(SUB_INDEX_PREFIX + token);
+      return uuid ? this.get(uuid) : null;
+    },
+
+    // Hapus akun yang sudah lewat expiresAt, untuk cron. Ini satu-satunya
+    // jalur expiry: key akun disimpan tanpa expiration KV, jadi sampai sweep
+    // berikutnya akun tetap terlihat dengan status expired (dan ditolak).
+    // onRemove(account) dipanggil per akun yang dihapus (reset usage, dll).
+    async sweepExpired(now = Date.now(), { onRemove } = {}) {
+      let removed = 0;
+
+      for (const account of await this.list()) {
+        if (isAccountExpired(account, now)) {
+          await this.remove(account.uuid);
+          if (onRemove) await onRemove(account);
+          removed++;
+        }
+      }
+
+      return removed;
+    },
+
+    // Pindahkan akun dari key lama <uuid> ke acct:<uuid>, untuk cron.
+    // Sebelum dipindah, akun lama tetap bisa dipakai tetapi tidak muncul
+    // di listing.
+    async migrateLegacyAccounts() {
+      let migrated = 0;
+      let cursor;
+
+      do {
+        const page = await backend.list({ cursor });
+        for (const key of page.keys) {
+          if (!LEGACY_ACCOUNT_KEY.test(key.name)) continue;
+          const account = await this.get(key.name);
+          if (!account) continue;
+          await this.save(account);
+          migrated++;
+        }
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+
+      return migrated;
+    },
+
+    // Samakan index path dengan metadata semua akun, untuk cron: key yang
+    // hilang ditulis, key basi (dan format lama) dihapus. Akun yang
+    // metadatanya belum berisi path disimpan ulang sekali.
+    async rebuildPathIndex() {
+      const expected = new Map();
+      const paths = new Set();
+
+      for (const summary of await this.list()) {
+        let account = summary;
+        if (!('path' in summary)) {
+          account = await this.get(summary.uuid);
+          if (!account || !account.path) continue;
+          await this.save(account);
+        }
+        const path = indexedPath(account);
+        if (!path) continue;
+        expected.set(pathIndexKey(path, account.uuid), account);
+        paths.add(path);
+      }
+
+      let cursor;
+      do {
+        const page = await backend.list({ prefix: PATH_INDEX_PREFIX, cursor });
+        for (const key of page.keys) {
+          if (!expected.delete(key.name)) await backend.delete(key.name);
+        }
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+
+      for (const [key, account] of expected) {
+        await backend.put(key, account.uuid);
+      }
+      for (const path of paths) accountCache.delete(PATH_INDEX_PREFIX + path);
+      return paths.size;
+    },
+
+    // Routing WebSocket: apakah ada akun yang memakai path ini
+    async hasPath(path) {
+      const normalized = normalizePath(path);
+      const cacheKey = PATH_INDEX_PREFIX + normalized;
+      const cached = accountCache.get(cacheKey);
+      if (cached && cached.expires > Date.now()) {
+        return cached.account !== null;
+      }
+
+      const page = await backend.list({ prefix: pathIndexKey(normalized, ''), limit: 1 });
+      const found = page.keys.length > 0;
+      cacheAccountLookup(cacheKey, found ? true : null);
+      return found;
+    },
+
+    // Dipakai saat handshake: akun jika UUID terdaftar, selain itu null
+    async authorize(uuid) {
+      const cached = accountCache.get(uuid);
+      if (cached && cached.expires > Date.now()) {
+        return cached.account;
+      }
+
+      const account = await this.get(uuid);
+      cacheAccountLookup(uuid, account);
+      return account;
+    },
+
+    // Handshake Trojan: hash password -> akun. Akun yang protokolnya sudah
+    // bukan trojan (index basi) dianggap tidak dikenal.
+    async authorizeTrojan(hash) {
+      const cacheKey = TROJAN_INDEX_PREFIX + hash;
+      const cached = accountCache.get(cacheKey);
+      if (cached && cached.expires > Date.now()) {
+        return cached.account;
+      }
+
+      const uuid = await backend.get(cacheKey);
+      const account = uuid ? await this.get(uuid) : null;
+      const result = account && accountProtocol(account) === 'trojan' ? account : null;
+      cacheAccountLookup(cacheKey, result);
+      return result;
+    }
+  };
+}
+
+export function generateSubToken() {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(18)));
+}
+
+export function accountSummary(account) {
+  const summary = { uuid: account.uuid };
+  for (const field of SUMMARY_FIELDS) {
+    if (account[field] !== undefined && account[field] !== null) summary[field] = account[field];
+  }
+  return summary;
+}
+
+export function accountStatus(account, now = Date.now()) {
+  if (isAccountSuspended(account)) return 'suspended';
+  if (isAccountExpired(account, now)) return 'expired';
+  return 'active';
+}
+
+// filter: { q, server, sni, status, expiresBefore, expiresAfter }; expiry
+// dalam ms epoch, akun tanpa expiresAt dianggap tidak pernah kedaluwarsa
+export function matchesAccountFilter(account, filter = {}, now = Date.now()) {
+  const equals = (a, b) => String(a || '').toLowerCase() === b.toLowerCase();
+
+  if (filter.q) {
+    const q = filter.q.toLowerCase();
+    const haystack = [account.uuid, account.server, account.sni].filter(Boolean).join(' ').toLowerCase();
+    if (!haystack.includes(q)) return false;
+  }
+  if (filter.server && !equals(account.server, filter.server)) return false;
+  if (filter.sni && !equals(account.sni, filter.sni)) return false;
+  if (filter.status && accountStatus(account, now) !== filter.status) return false;
+
+  const expires = account.expiresAt ? Date.parse(account.expiresAt) : Infinity;
+  if (filter.expiresBefore !== undefined && !(expires < filter.expiresBefore)) return false;
+  if (filter.expiresAfter !== undefined && !(expires > filter.expiresAfter)) return false;
+  return true;
+}
+
+export function accountProtocol(account) {
+  return PROTOCOLS.includes(account.protocol) ? account.protocol : 'vless';
+}
+
+export function isAccountSuspended(account) {
+  return account.suspended === true;
+}
+
+export function isAccountExpired(account, now = Date.now()) {
+  return Boolean(account.expiresAt) && Date.parse(account.expiresAt) <= now;
+}
+
+// expiresAt dari `expiresAt` (ISO) atau `validDays` pada input; null = selamanya
+export function resolveExpiry(data, now = Date.now()) {
+  if (data.expiresAt) {
+    const time = Date.parse(data.expiresAt);
+    if (Number.isNaN(time)) throw new ValidationError('expiresAt must be an ISO date');
+    return new Date(time).toISOString();
+  }
+
+  if (data.validDays !== undefined && data.validDays !== null && data.validDays !== '') {
+    const days = Number(data.validDays);
+    if (!Number.isFinite(days) || days <= 0) {
+      throw new ValidationError('validDays must be a positive number');
+    }
+    return new Date(now + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  return null;
+}
+
+// Kuota trafik dari `quotaBytes` atau `quotaGB` pada input; null = tanpa batas
+export function resolveQuota(data) {
+  const bytes = data.quotaBytes !== undefined && data.quotaBytes !== null && data.quotaBytes !== ''
+    ? Number(data.quotaBytes)
+    : data.quotaGB !== undefined && data.quotaGB !== null && data.quotaGB !== ''
+      ? Number(data.quotaGB) * 1024 ** 3
+      : null;
+
+  if (bytes === null) return null;
+  if (!Number.isFinite(bytes) || bytes <= 0) {
+    throw new ValidationError('quota must be a positive number');
+  }
+  return Math.round(bytes);
+}
+
+// Batas koneksi bersamaan per UUID; null = tanpa batas
+export function resolveMaxConnections(data) {
+  if (data.maxConnections === undefined || data.maxConnections === null || data.maxConnections === '') {
+    return null;
+  }
+
+  const limit = Number(data.maxConnections);
+  if (!Number.isInteger(limit) || limit <= 0) {
+    throw new ValidationError('maxConnections must be a positive integer');
+  }
+  return limit;
+}
+
+export function getAccountRepository(env) {
+  return createAccountRepository(resolveAccountBackend(env), { defaultPath: defaultWsPath(env) });
+}
+
+function encodeListCursor(offset, kvCursor) {
+  return `${offset}.${kvCursor || ''}`;
+}
+
+function decodeListCursor(cursor) {
+  if (!cursor) return { offset: 0, kvCursor: undefined };
+
+  const dot = cursor.indexOf('.');
+  const offset = Number(cursor.slice(0, dot));
+  if (dot < 0 || !Number.isInteger(offset) || offset < 0) {
+    throw new ValidationError('Invalid cursor');
+  }
+  return { offset, kvCursor: cursor.slice(dot + 1) || undefined };
+}
+
+function cacheAccountLookup(uuid, account) {
+  if (accountCache.size >= ACCOUNT_CACHE_MAX) {
+    // Map menjaga urutan insert, hapus entri tertua
+    accountCache.delete(accountCache.keys().next().value);
+  }
+  accountCache.delete(uuid);
+  accountCache.set(uuid, {
+    account,
+    expires: Date.now() + (account ? ACCOUNT_CACHE_TTL : NEGATIVE_CACHE_TTL)
+  });
+}
+
+// Path yang masuk index; Shadowsocks punya path sendiri (SS_PATH)
+function accountIndexedPath(account, defaultPath) {
+  if (!account || !account.path || accountProtocol(account) === 'shadowsocks') return null;
+  const path = normalizePath(account.path);
+  return path === defaultPath ? null : path;
+}
+
+// Path tidak boleh berisi ":" (schema), jadi prefix path:<path>: tidak
+// bisa cocok dengan key milik path lain
+function pathIndexKey(path, uuid) {
+  return `${PATH_INDEX_PREFIX}${path}:${uuid}`;
+}
+
+function accountKey(uuid) {
+  return ACCOUNT_PREFIX + uuid;
+}
+
+function trojanIndexKey(uuid) {
+  return TROJAN_INDEX_PREFIX + trojanPasswordHash(uuid);
+}
+
+export function invalidateAccountCache(uuid) {
+  accountCache.delete(uuid);
+  accountCache.delete(trojanIndexKey(uuid));
+}
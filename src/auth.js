@@ -0,0 +1,165 @@
+// =====================================================
+// ADMIN AUTHENTICATION
+// Session token bertanda tangan HMAC-SHA256 dengan ADMIN_SECRET
+// =====================================================
+
+import { base64UrlDecode, base64UrlEncode } from './encoding.js';
+import { normalizePath } from './routing.js';
+
+export const SESSION_COOKIE = 'admin_session';
+
+// Identitas pembuat akun; saat ini hanya ada satu admin
+export const ADMIN_IDENTITY = 'admin';
+
+const DEFAULT_SESSION_TTL = 12 * 60 * 60; // detik
+
+// UI admin tanpa ADMIN_PATH, hanya di luar production
+export const DEV_ADMIN_PATH = '/admin';
+
+// Env yang tidak boleh sampai ke jalur data WebSocket
+const ADMIN_ENV_KEYS = ['ADMIN_SECRET', 'ADMIN_PATH'];
+
+const encoder = new TextEncoder();
+
+export function isAuthConfigured(env) {
+  return typeof env.ADMIN_SECRET === 'string' && env.ADMIN_SECRET.length > 0;
+}
+
+// Route admin tanpa login hanya jika diminta eksplisit lewat
+// ALLOW_INSECURE_DEV_AUTH = "true" (dan bukan production). Tanpa
+// ADMIN_SECRET selain itu semua request admin ditolak.
+export function isAuthBypassed(env) {
+  return !isAuthConfigured(env)
+    && env.ALLOW_INSECURE_DEV_AUTH === 'true'
+    && env.ENVIRONMENT !== 'production';
+}
+
+// Path rahasia UI admin (ADMIN_PATH, disimpan sebagai secret). Di production
+// tanpa ADMIN_PATH UI tidak disajikan sama sekali; API tetap jalan.
+export function adminPath(env) {
+  if (env.ADMIN_PATH) return normalizePath(env.ADMIN_PATH);
+  return env.ENVIRONMENT === 'production' ? null : DEV_ADMIN_PATH;
+}
+
+export function isAdminPath(env, pathname) {
+  const path = adminPath(env);
+  return path !== null && normalizePath(pathname) === path;
+}
+
+export async function verifyPassword(env, password) {
+  if (!isAuthConfigured(env) || typeof password !== 'string') return false;
+  return timingSafeEqual(encoder.encode(password), encoder.encode(env.ADMIN_SECRET));
+}
+
+export async function createSessionToken(env, now = Date.now()) {
+  const ttl = Number(env.ADMIN_SESSION_TTL) || DEFAULT_SESSION_TTL;
+  const payload = base64UrlEncode(encoder.encode(JSON.stringify({
+    sub: ADMIN_IDENTITY,
+    exp: Math.floor(now / 1000) + ttl
+  })));
+  const signature = await sign(env.ADMIN_SECRET, payload);
+  return { token: `${payload}.${signature}`, maxAge: ttl };
+}
+
+export async function verifySessionToken(env, token, now = Date.now()) {
+  if (!isAuthConfigured(env) || typeof token !== 'string') return false;
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return false;
+
+  const expected = await sign(env.ADMIN_SECRET, payload);
+  if (!timingSafeEqual(encoder.encode(signature), encoder.encode(expected))) {
+    return false;
+  }
+
+  try {
+    const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+    return claims.sub === ADMIN_IDENTITY && claims.exp * 1000 > now;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Terima `Authorization: Bearer <session token | ADMIN_SECRET>` atau cookie sesi
+export async function isAuthenticated(request, env) {
+  if (isAuthBypassed(env)) return true;
+  if (!isAuthConfigured(env)) return false;
+
+  const authorization = request.headers.get('Authorization') || '';
+  if (authorization.startsWith('Bearer ')) {
+    const bearer = authorization.slice(7).trim();
+    return (await verifySessionToken(env, bearer)) || (await verifyPassword(env, bearer));
+  }
+
+  const token = getCookie(request, SESSION_COOKIE);
+  return token ? verifySessionToken(env, token) : false;
+}
+
+export function sessionCookie(token, maxAge) {
+  return `${SESSION_COOKIE}=${token}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+export function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Strict`;
+}
+
+// Salinan env tanpa kredensial admin, untuk handler WebSocket
+export function dataPlaneEnv(env) {
+  const scoped = { ...env };
+  for (const key of ADMIN_ENV_KEYS) {
+    delete scoped[key];
+  }
+  return scoped;
+}
+
+// CORS hanya untuk origin di CORS_ORIGINS (dipisah koma)
+export function buildCorsHeaders(request, env) {
+  const headers = {
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Vary': 'Origin'
+  };
+
+  const origin = request.headers.get('Origin');
+  const allowed = (env.CORS_ORIGINS || '')
+    .split(',')
+    .map(o => o.trim())
+    .filter(Boolean);
+
+  if (origin && allowed.includes(origin)) {
+    headers['Access-Control-Allow-Origin'] = origin;
+    headers['Access-Control-Allow-Credentials'] = 'true';
+  }
+
+  return headers;
+}
+
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  for (const part of cookies.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return rest.join('=');
+  }
+  return null;
+}
+
+async function sign(secret, data) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(data));
+  return base64UrlEncode(new Uint8Array(signature));
+}
+
+function timingSafeEqual(a, b) {
+  // Panjang tetap dibandingkan tanpa early return
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ (b[i % (b.length || 1)] || 0);
+  }
+  return diff === 0;
+}
@@ -0,0 +1,112 @@
+// =====================================================
+// DECOY
+// Respons untuk request yang bukan milik proxy maupun admin (root, path
+// tidak dikenal, upgrade di path yang salah), supaya worker terlihat
+// seperti situs biasa. DECOY_MODE:
+//   - proxy: request diteruskan ke situs upstream DECOY_URL
+//   - kv:    halaman statis dari KV DECOY_KV (key DECOY_PAGE_KEY) di root,
+//            404 untuk path lain
+//   - none:  404 polos
+// Kosong = ditebak dari konfigurasi yang ada (DECOY_URL, lalu DECOY_KV).
+// =====================================================
+
+export const DECOY_MODES = ['proxy', 'kv', 'none'];
+export const DEFAULT_DECOY_PAGE_KEY = 'decoy.html';
+
+// Cache edge untuk halaman KV
+const PAGE_CACHE_TTL = 300;
+
+// Header yang tidak boleh ikut diteruskan ke upstream
+const HOP_HEADERS = ['upgrade', 'connection', 'sec-websocket-key', 'sec-websocket-version',
+  'sec-websocket-protocol', 'sec-websocket-extensions', 'cookie', 'authorization'];
+
+export function resolveDecoyMode(env = {}) {
+  if (env.DECOY_MODE) {
+    if (DECOY_MODES.includes(env.DECOY_MODE)) return env.DECOY_MODE;
+    console.warn(`[Decoy] Unknown DECOY_MODE "${env.DECOY_MODE}", falling back to 404`);
+    return 'none';
+  }
+  if (env.DECOY_URL) return 'proxy';
+  if (env.DECOY_KV) return 'kv';
+  return 'none';
+}
+
+export async function decoyResponse(request, env = {}) {
+  try {
+    switch (resolveDecoyMode(env)) {
+      case 'proxy':
+        if (env.DECOY_URL) return await proxyDecoy(request, env.DECOY_URL);
+        break;
+      case 'kv':
+        if (env.DECOY_KV) return await pageDecoy(request, env);
+        break;
+    }
+  } catch (error) {
+    console.error('[Decoy] Error:', error.message);
+  }
+  return notFound();
+}
+
+// Origin diganti upstream; path request ditempel di belakang path DECOY_URL
+// dan query keduanya digabung (query request menang untuk key yang sama)
+export function decoyTarget(requestUrl, decoyUrl) {
+  const upstream = new URL(decoyUrl);
+  const { pathname, searchParams } = new URL(requestUrl);
+
+  const url = new URL(upstream);
+  url.pathname = upstream.pathname.replace(/\/+$/, '') + pathname;
+  for (const key of new Set(searchParams.keys())) {
+    url.searchParams.delete(key);
+    for (const value of searchParams.getAll(key)) url.searchParams.append(key, value);
+  }
+  url.hash = '';
+  return url;
+}
+
+async function proxyDecoy(request, decoyUrl) {
+  const url = decoyTarget(request.url, decoyUrl);
+
+  const headers = new Headers(request.headers);
+  for (const name of HOP_HEADERS) headers.delete(name);
+  headers.set('Host', url.host);
+
+  const hasBody = request.method !== 'GET' && request.method !== 'HEAD';
+  const response = await fetch(url.toString(), {
+    method: request.method,
+    headers,
+    body: hasBody ? request.body : undefined,
+    redirect: 'manual'
+  });
+
+  // Set-Cookie upstream tidak relevan untuk domain worker
+  const responseHeaders = new Headers(response.headers);
+  responseHeaders.delete('set-cookie');
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: responseHeaders
+  });
+}
+
+// Satu halaman statis untuk root; path lain 404 seperti situs statis biasa
+async function pageDecoy(request, env) {
+  const { pathname } = new URL(request.url);
+  if (pathname !== '/' && pathname !== '/index.html') return notFound();
+  if (request.method !== 'GET' && request.method !== 'HEAD') {
+    return new Response('Method Not Allowed', { status: 405, headers: { Allow: 'GET, HEAD' } });
+  }
+
+  const page = await env.DECOY_KV.get(env.DECOY_PAGE_KEY || DEFAULT_DECOY_PAGE_KEY, { cacheTtl: PAGE_CACHE_TTL });
+  if (page === null) return notFound();
+
+  return new Response(request.method === 'HEAD' ? null : page, {
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': `public, max-age=${PAGE_CACHE_TTL}`
+    }
+  });
+}
+
+function notFound() {
+  return new Response('Not Found', { status: 404, headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+}
@@ -0,0 +1,79 @@
+// =====================================================
+// UDP-OVER-VLESS (DNS)
+// Frame UDP VLESS: length(2, BE) | packet, diteruskan ke DNS-over-HTTPS
+// =====================================================
+
+export const DEFAULT_DOH_URL = 'https://cloudflare-dns.com/dns-query';
+export const DNS_PORT = 53;
+
+// Pecah buffer menjadi frame UDP lengkap. Sisa frame yang belum utuh
+// dikembalikan sebagai `rest` untuk digabung dengan pesan berikutnya.
+export function splitUDPFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (offset + 2 <= buffer.byteLength) {
+    const length = (buffer[offset] << 8) | buffer[offset + 1];
+    if (offset + 2 + length > buffer.byteLength) break;
+    frames.push(buffer.slice(offset + 2, offset + 2 + length));
+    offset += 2 + length;
+  }
+
+  return { frames, rest: buffer.slice(offset) };
+}
+
+export function encodeUDPFrame(packet) {
+  const frame = new Uint8Array(2 + packet.byteLength);
+  frame[0] = (packet.byteLength >> 8) & 0xff;
+  frame[1] = packet.byteLength & 0xff;
+  frame.set(packet, 2);
+  return frame;
+}
+
+export async function queryDoH(query, env, fetcher = fetch) {
+  const response = await fetcher(env.DOH_URL || DEFAULT_DOH_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/dns-message',
+      'Accept': 'application/dns-message'
+    },
+    body: query
+  });
+
+  if (!response.ok) {
+    throw new Error(`DoH upstream returned ${response.status}`);
+  }
+
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// Relay DNS untuk satu sesi UDP. `write` menerima data mentah dari client
+// (boleh berisi beberapa query sekaligus atau potongan frame), `send`
+// menerima frame balasan yang sudah diberi length prefix.
+export function createDnsRelay(env, send, fetcher = fetch) {
+  let pending = new Uint8Array(0);
+
+  return {
+    async write(chunk) {
+      const buffer = new Uint8Array(pending.byteLength + chunk.byteLength);
+      buffer.set(pending, 0);
+      buffer.set(chunk, pending.byteLength);
+
+      const { frames, rest } = splitUDPFrames(buffer);
+      pending = rest;
+
+      const answers = await Promise.all(frames.map(async (query) => {
+        try {
+          return await queryDoH(query, env, fetcher);
+        } catch (error) {
+          console.error('[DNS] Query failed:', error.message);
+          return null;
+        }
+      }));
+
+      for (const answer of answers) {
+        if (answer) send(encodeUDPFrame(answer));
+      }
+    }
+  };
+}
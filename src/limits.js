@@ -0,0 +1,166 @@
+// =====================================================
+// ACCOUNT LIMITS
+// Batas jumlah akun global (MAX_ACCOUNTS) dan per pembuat
+// (MAX_ACCOUNTS_PER_CREATOR). Slot dipesan di satu instance Durable
+// Object sebelum akun ditulis ke KV, jadi dua request bersamaan tidak bisa
+// sama-sama lolos dari pengecekan.
+// =====================================================
+
+import { callAccountState, jsonInit, resolveStateNamespace } from './account-state.js';
+
+// Nama instance AccountState yang menyimpan counter registry
+export const REGISTRY_NAME = '__registry__';
+
+let sharedMemoryStore = null;
+
+// status: 409 untuk kapasitas global penuh, 429 untuk kuota pembuat
+export class AccountLimitError extends Error {
+  constructor(message, status, limit) {
+    super(message);
+    this.name = 'AccountLimitError';
+    this.status = status;
+    this.limit = limit;
+  }
+}
+
+export function resolveAccountLimits(env = {}) {
+  const parse = value => {
+    const limit = Number(value);
+    return Number.isInteger(limit) && limit > 0 ? limit : 0;
+  };
+  return {
+    maxTotal: parse(env.MAX_ACCOUNTS),
+    maxPerCreator: parse(env.MAX_ACCOUNTS_PER_CREATOR)
+  };
+}
+
+// Logika reserve/release dipakai bersama oleh Durable Object dan store
+// in-memory. `registry` null berarti belum pernah di-seed dari KV.
+export function reserveSlots(registry, { creator, count = 1, maxTotal = 0, maxPerCreator = 0 }) {
+  const used = registry.creators[creator] || 0;
+
+  if (maxTotal > 0 && registry.total + count > maxTotal) {
+    return { allowed: false, reason: 'total', limit: maxTotal, used: registry.total };
+  }
+  if (maxPerCreator > 0 && used + count > maxPerCreator) {
+    return { allowed: false, reason: 'creator', limit: maxPerCreator, used };
+  }
+
+  registry.total += count;
+  registry.creators[creator] = used + count;
+  return { allowed: true };
+}
+
+export function releaseSlots(registry, { creator, count = 1 }) {
+  registry.total = Math.max(0, registry.total - count);
+  registry.creators[creator] = Math.max(0, (registry.creators[creator] || 0) - count);
+  if (registry.creators[creator] === 0) delete registry.creators[creator];
+}
+
+export function createMemoryLimitStore() {
+  let registry = null;
+
+  return {
+    async reserve(request) {
+      if (!registry) return { allowed: false, seeded: false };
+      return reserveSlots(registry, request);
+    },
+
+    async release(request) {
+      if (registry) releaseSlots(registry, request);
+    },
+
+    async seed(counts, { force = false } = {}) {
+      if (!registry || force) registry = { total: counts.total, creators: { ...counts.creators } };
+    }
+  };
+}
+
+function createDurableLimitStore(namespace) {
+  return {
+    reserve(request) {
+      return callAccountState(namespace, REGISTRY_NAME, '/registry/reserve', jsonInit(request));
+    },
+
+    async release(request) {
+      await callAccountState(namespace, REGISTRY_NAME, '/registry/release', jsonInit(request));
+    },
+
+    async seed(counts, { force = false } = {}) {
+      await callAccountState(namespace, REGISTRY_NAME, '/registry/seed', jsonInit({ ...counts, force }));
+    }
+  };
+}
+
+export function getLimitStore(env) {
+  const namespace = resolveStateNamespace(env);
+  if (namespace) {
+    return createDurableLimitStore(namespace);
+  }
+
+  if (!sharedMemoryStore) {
+    console.warn('[Limits] Durable Object binding not found, using in-memory account counts');
+    sharedMemoryStore = createMemoryLimitStore();
+  }
+  return sharedMemoryStore;
+}
+
+// Hitung akun per pembuat dari repository, untuk seed awal dan resync cron
+// (akun yang dihapus sweep cron tidak di-release satu per satu).
+export async function countAccounts(repository, defaultCreator) {
+  const counts = { total: 0, creators: {} };
+  for (const account of await repository.list()) {
+    const creator = account.createdBy || defaultCreator;
+    counts.total++;
+    counts.creators[creator] = (counts.creators[creator] || 0) + 1;
+  }
+  return counts;
+}
+
+// Pesan `count` slot untuk `creator`, atau lempar AccountLimitError.
+// Registry yang belum di-seed diisi dulu dari KV lalu dicoba sekali lagi.
+export async function reserveAccounts(env, repository, creator, count, defaultCreator = creator) {
+  const { maxTotal, maxPerCreator } = resolveAccountLimits(env);
+  const store = getLimitStore(env);
+  const request = { creator, count, maxTotal, maxPerCreator };
+
+  let result = await store.reserve(request);
+  if (result.seeded === false) {
+    await store.seed(await countAccounts(repository, defaultCreator));
+    result = await store.reserve(request);
+  }
+
+  if (!result.allowed) {
+    if (result.reason === 'creator') {
+      throw new AccountLimitError(
+        `Account quota reached: ${result.used} of ${result.limit} accounts already created`,
+        429,
+        result.limit
+      );
+    }
+    throw new AccountLimitError(
+      `Account limit reached: ${result.used} of ${result.limit} accounts in use`,
+      409,
+      result.limit
+    );
+  }
+
+  let released = 0;
+  return {
+    // Kembalikan slot yang tidak terpakai (mis. sebagian bulk gagal)
+    async release(unused) {
+      const amount = Math.min(unused, count - released);
+      if (amount <= 0) return;
+      released += amount;
+      await store.release({ creator, count: amount }).catch(error => {
+        console.error('[Limits] Release failed:', error.message);
+      });
+    }
+  };
+}
+
+export async function releaseAccount(env, creator) {
+  await getLimitStore(env).release({ creator, count: 1 }).catch(error => {
+    console.error('[Limits] Release failed:', error.message);
+  });
+}
@@ -0,0 +1,184 @@
+// =====================================================
+// LINK BUILDER
+// Semua link vless://, trojan:// dan ss:// dibuat di worker: parameter divalidasi dan di-encode,
+// default dari DEFAULT_PATH/DEFAULT_PORT, satu link per entry address/port.
+// =====================================================
+
+import { accountProtocol, ValidationError } from './accounts.js';
+import { base64UrlEncode } from './encoding.js';
+import { formatHostForURL, isValidHost } from './net.js';
+import { accountWsPath } from './routing.js';
+import { shadowsocksPath } from './shadowsocks.js';
+
+// Port HTTPS/HTTP yang dilayani Cloudflare untuk worker
+export const DEFAULT_TLS_PORTS = [443, 8443, 2053];
+export const DEFAULT_PLAIN_PORTS = [80, 8080];
+
+export function accountLabel(account) {
+  return account.name || `${accountProtocol(account).toUpperCase()}-${account.uuid.slice(0, 8)}`;
+}
+
+function parseList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function parsePorts(value, fallback) {
+  const ports = parseList(value).map(Number);
+  if (ports.length === 0) return fallback;
+  if (!ports.every(port => Number.isInteger(port) && port > 0 && port < 65536)) {
+    throw new ValidationError(`Invalid port list: ${value}`);
+  }
+  return ports;
+}
+
+// Port entry yang dipakai link builder, dari ENTRY_TLS_PORTS/ENTRY_PLAIN_PORTS
+export function entryPorts(env = {}) {
+  return {
+    tls: parsePorts(env.ENTRY_TLS_PORTS, DEFAULT_TLS_PORTS),
+    plain: parsePorts(env.ENTRY_PLAIN_PORTS, DEFAULT_PLAIN_PORTS)
+  };
+}
+
+function requireHost(field, value) {
+  if (!isValidHost(value)) {
+    throw new ValidationError(`${field} is not a valid hostname or IP: ${value}`);
+  }
+  return value;
+}
+
+// Lengkapi field link dari akun dengan default env
+export function resolveLinkConfig(account, env = {}) {
+  const server = requireHost('server', account.server);
+  const wsHost = requireHost('wsHost', account.wsHost || server);
+  const security = account.security === 'none' ? 'none' : 'tls';
+  const port = Number(account.port || env.DEFAULT_PORT || (security === 'tls' ? 443 : 80));
+  const protocol = accountProtocol(account);
+  // Inbound Shadowsocks punya path sendiri per akun
+  const path = protocol === 'shadowsocks'
+    ? shadowsocksPath(env, account.uuid)
+    : accountWsPath(env, account);
+
+  if (!Number.isInteger(port) || port <= 0 || port >= 65536) {
+    throw new ValidationError(`Invalid port: ${account.port}`);
+  }
+  if (!path.startsWith('/')) {
+    throw new ValidationError(`path must start with "/": ${path}`);
+  }
+
+  return {
+    protocol,
+    uuid: account.uuid,
+    ssCipher: account.ssCipher || null,
+    ssPassword: account.ssPassword || null,
+    label: accountLabel(account),
+    server,
+    port,
+    path,
+    wsHost,
+    sni: security === 'tls' ? requireHost('sni', account.sni || wsHost) : null,
+    security
+  };
+}
+
+// Satu endpoint: { address, port, security, label }. Endpoint utama akun
+// selalu pertama, lalu setiap kombinasi entry address x port.
+export function resolveEntries(account, env = {}) {
+  const config = resolveLinkConfig(account, env);
+  const addresses = parseList(account.entryAddresses).length > 0
+    ? parseList(account.entryAddresses)
+    : parseList(env.ENTRY_ADDRESSES).length > 0
+      ? parseList(env.ENTRY_ADDRESSES)
+      : [config.server];
+  const { tls: tlsPorts, plain: plainPorts } = entryPorts(env);
+
+  const entries = [{ address: config.server, port: config.port, security: config.security }];
+  for (const address of addresses) {
+    requireHost('entry address', address);
+    for (const port of tlsPorts) entries.push({ address, port, security: 'tls' });
+    for (const port of plainPorts) entries.push({ address, port, security: 'none' });
+  }
+
+  const seen = new Set();
+  return entries
+    .filter(entry => {
+      const key = `${entry.address}|${entry.port}|${entry.security}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((entry, i) => ({
+      ...entry,
+      label: i === 0 ? config.label : `${config.label} ${entry.address}:${entry.port}`
+    }));
+}
+
+export function buildVlessLink(config, entry) {
+  const params = new URLSearchParams({
+    encryption: 'none',
+    type: 'ws',
+    security: entry.security,
+    path: config.path,
+    host: config.wsHost
+  });
+
+  if (entry.security === 'tls') {
+    params.set('sni', config.sni || config.wsHost);
+    params.set('alpn', 'h2,http/1.1');
+    params.set('fp', 'chrome');
+  }
+
+  const host = formatHostForURL(entry.address);
+  return `vless://${encodeURIComponent(config.uuid)}@${host}:${entry.port}?${params}#${encodeURIComponent(entry.label)}`;
+}
+
+// Password Trojan adalah UUID akun
+export function buildTrojanLink(config, entry) {
+  const params = new URLSearchParams({
+    type: 'ws',
+    security: entry.security,
+    path: config.path,
+    host: config.wsHost
+  });
+
+  if (entry.security === 'tls') {
+    params.set('sni', config.sni || config.wsHost);
+    params.set('alpn', 'h2,http/1.1');
+    params.set('fp', 'chrome');
+  }
+
+  const host = formatHostForURL(entry.address);
+  return `trojan://${encodeURIComponent(config.uuid)}@${host}:${entry.port}?${params}#${encodeURIComponent(entry.label)}`;
+}
+
+// Opsi SIP003 v2ray-plugin (WebSocket). mux=0: inbound worker tidak
+// memakai Mux.Cool untuk Shadowsocks.
+export function shadowsocksPluginOptions(config, entry) {
+  const options = ['mode=websocket', `host=${config.wsHost}`, `path=${config.path}`, 'mux=0'];
+  if (entry.security === 'tls') options.push('tls');
+  return options.join(';');
+}
+
+// SIP002: ss://base64url(method:password)@host:port/?plugin=...#label
+export function buildShadowsocksLink(config, entry) {
+  const userinfo = base64UrlEncode(new TextEncoder().encode(`${config.ssCipher}:${config.ssPassword}`));
+  const plugin = `v2ray-plugin;${shadowsocksPluginOptions(config, entry)}`;
+  const host = formatHostForURL(entry.address);
+  return `ss://${userinfo}@${host}:${entry.port}/?plugin=${encodeURIComponent(plugin)}#${encodeURIComponent(entry.label)}`;
+}
+
+const LINK_BUILDERS = {
+  vless: buildVlessLink,
+  trojan: buildTrojanLink,
+  shadowsocks: buildShadowsocksLink
+};
+
+// Daftar link siap pakai untuk satu akun
+export function buildAccountLinks(account, env = {}) {
+  const config = resolveLinkConfig(account, env);
+  const build = LINK_BUILDERS[config.protocol];
+  return resolveEntries(account, env).map(entry => ({
+    ...entry,
+    link: build(config, entry)
+  }));
+}
@@ -0,0 +1,69 @@
+// =====================================================
+// MD5
+// Hanya untuk EVP_BytesToKey (password -> master key Shadowsocks AEAD);
+// WebCrypto tidak menyediakan MD5. RFC 1321.
+// =====================================================
+
+const S = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21
+];
+
+const K = Uint32Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32));
+
+const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+
+export function md5(bytes) {
+  // Padding sama seperti SHA, tetapi panjang dalam bit little-endian
+  const length = bytes.byteLength;
+  const padded = new Uint8Array(Math.ceil((length + 9) / 64) * 64);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.byteLength - 8, (length * 8) >>> 0, true);
+  view.setUint32(padded.byteLength - 4, Math.floor(length / 0x20000000), true);
+
+  const hash = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  const m = new Uint32Array(16);
+
+  for (let block = 0; block < padded.byteLength; block += 64) {
+    for (let i = 0; i < 16; i++) m[i] = view.getUint32(block + i * 4, true);
+
+    let [a, b, c, d] = hash;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+
+      const next = (b + rotl((a + f + K[i] + m[g]) >>> 0, S[i])) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = next;
+    }
+
+    hash[0] = (hash[0] + a) >>> 0;
+    hash[1] = (hash[1] + b) >>> 0;
+    hash[2] = (hash[2] + c) >>> 0;
+    hash[3] = (hash[3] + d) >>> 0;
+  }
+
+  const digest = new Uint8Array(16);
+  const out = new DataView(digest.buffer);
+  hash.forEach((value, i) => out.setUint32(i * 4, value, true));
+  return digest;
+}
@@ -0,0 +1,364 @@
+// =====================================================
+// MUX.COOL / XUDP
+// Banyak sub-stream dalam satu koneksi (VLESS command 3, atau tujuan
+// v1.mux.cool). Frame:
+//   metadata length(2, BE) | metadata | [data length(2, BE) | data]
+// Metadata:
+//   session id(2) | status(1) | option(1)
+//   | network(1) | port(2, BE) | address type(1) | address
+//     (New, dan Keep UDP: XUDP membawa alamat per paket)
+//   | global id(8) (New UDP dari XUDP, tidak dipakai)
+// Setiap sub-stream TCP mendapat socket sendiri; UDP hanya DNS.
+// =====================================================
+
+import { parseIP } from './net.js';
+
+export const MUX_COOL_DOMAIN = 'v1.mux.cool';
+
+export const MUX_STATUS = {
+  NEW: 1,
+  KEEP: 2,
+  END: 3,
+  KEEP_ALIVE: 4
+};
+
+export const MUX_OPTION = {
+  DATA: 1,
+  ERROR: 2
+};
+
+export const MUX_NETWORK = {
+  TCP: 1,
+  UDP: 2
+};
+
+export const DEFAULT_MAX_MUX_SESSIONS = 64;
+
+// Batas metadata sama dengan Xray
+const MAX_METADATA_LENGTH = 512;
+// Data remote dipecah per frame
+const MAX_FRAME_DATA = 16 * 1024;
+// Upload yang antre ke satu sub-stream sebelum demux ikut menunggu
+const MAX_SESSION_BUFFER = 512 * 1024;
+
+const ADDRESS_TYPES = {
+  IPV4: 1,
+  DOMAIN: 2,
+  IPV6: 3
+};
+
+// Address type sama dengan header VLESS: 1 IPv4, 2 domain, 3 IPv6.
+// null jika byte belum cukup.
+function readAddress(bytes, offset) {
+  const type = bytes[offset++];
+
+  if (type === ADDRESS_TYPES.IPV4) {
+    if (offset + 4 > bytes.byteLength) return null;
+    return { address: Array.from(bytes.subarray(offset, offset + 4)).join('.'), offset: offset + 4 };
+  }
+
+  if (type === ADDRESS_TYPES.DOMAIN) {
+    const length = bytes[offset++];
+    if (!length || offset + length > bytes.byteLength) return null;
+    return { address: new TextDecoder().decode(bytes.subarray(offset, offset + length)), offset: offset + length };
+  }
+
+  if (type === ADDRESS_TYPES.IPV6) {
+    if (offset + 16 > bytes.byteLength) return null;
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push(((bytes[offset + i] << 8) | bytes[offset + i + 1]).toString(16));
+    }
+    return { address: groups.join(':'), offset: offset + 16 };
+  }
+
+  throw new Error(`Invalid mux address type: ${type}`);
+}
+
+function encodeAddress(address) {
+  const ip = parseIP(address);
+  if (ip) {
+    const size = ip.version === 4 ? 4 : 16;
+    const bytes = [ip.version === 4 ? ADDRESS_TYPES.IPV4 : ADDRESS_TYPES.IPV6];
+    for (let i = size - 1; i >= 0; i--) {
+      bytes.push(Number((ip.value >> BigInt(i * 8)) & 0xffn));
+    }
+    return bytes;
+  }
+
+  const domain = new TextEncoder().encode(address);
+  return [ADDRESS_TYPES.DOMAIN, domain.byteLength, ...domain];
+}
+
+function parseMetadata(meta) {
+  const frame = {
+    id: (meta[0] << 8) | meta[1],
+    status: meta[2],
+    option: meta[3],
+    network: null,
+    address: null,
+    port: 0
+  };
+
+  if (frame.status === MUX_STATUS.NEW || (frame.status === MUX_STATUS.KEEP && meta.byteLength > 4)) {
+    if (meta.byteLength < 8) throw new Error('Truncated mux target');
+    frame.network = meta[4];
+    frame.port = (meta[5] << 8) | meta[6];
+    const target = readAddress(meta, 7);
+    if (!target) throw new Error('Truncated mux target');
+    frame.address = target.address;
+  }
+
+  return frame;
+}
+
+// Pecah buffer menjadi frame lengkap; sisa frame yang belum utuh
+// dikembalikan sebagai `rest`. Frame rusak melempar error.
+export function parseMuxFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (offset + 2 <= buffer.byteLength) {
+    const metaLength = (buffer[offset] << 8) | buffer[offset + 1];
+    if (metaLength < 4 || metaLength > MAX_METADATA_LENGTH) {
+      throw new Error(`Invalid mux metadata length: ${metaLength}`);
+    }
+
+    let end = offset + 2 + metaLength;
+    if (end > buffer.byteLength) break;
+    const frame = parseMetadata(buffer.subarray(offset + 2, end));
+    frame.data = null;
+
+    if (frame.option & MUX_OPTION.DATA) {
+      if (end + 2 > buffer.byteLength) break;
+      const dataLength = (buffer[end] << 8) | buffer[end + 1];
+      if (end + 2 + dataLength > buffer.byteLength) break;
+      frame.data = buffer.slice(end + 2, end + 2 + dataLength);
+      end += 2 + dataLength;
+    }
+
+    frames.push(frame);
+    offset = end;
+  }
+
+  return { frames, rest: buffer.slice(offset) };
+}
+
+// Frame server -> client. Target hanya ditulis untuk Keep UDP (alamat asal
+// paket balasan).
+export function encodeMuxFrame({ id, status, option = 0, network = null, address = null, port = 0, data = null }) {
+  const meta = [id >> 8, id & 0xff, status, data ? option | MUX_OPTION.DATA : option];
+  if (network) {
+    meta.push(network, port >> 8, port & 0xff, ...encodeAddress(address));
+  }
+
+  const frame = new Uint8Array(2 + meta.length + (data ? 2 + data.byteLength : 0));
+  frame[0] = meta.length >> 8;
+  frame[1] = meta.length & 0xff;
+  frame.set(meta, 2);
+
+  if (data) {
+    const offset = 2 + meta.length;
+    frame[offset] = data.byteLength >> 8;
+    frame[offset + 1] = data.byteLength & 0xff;
+    frame.set(data, offset + 2);
+  }
+  return frame;
+}
+
+// Server Mux.Cool untuk satu koneksi client.
+//   send(frame):                 kirim frame ke client
+//   openTcp({ address, port, data }): { writer, readable, close() } untuk
+//                                sub-stream TCP baru; throw jika ditolak
+//   queryUdp(target, packet):    paket balasan, null jika tidak ada; throw
+//                                jika tujuan tidak didukung
+export function createMuxServer({ send, openTcp, queryUdp, maxSessions = DEFAULT_MAX_MUX_SESSIONS }) {
+  const sessions = new Map();
+  let pending = new Uint8Array(0);
+  let closed = false;
+
+  function emit(frame) {
+    if (!closed) send(encodeMuxFrame(frame));
+  }
+
+  // true jika sesi ini masih terdaftar (belum diakhiri pihak lain)
+  function detach(id, session) {
+    if (sessions.get(id) !== session) return false;
+    sessions.delete(id);
+    return true;
+  }
+
+  // Remote selesai atau gagal: tutup sesi dan beri tahu client
+  function finish(id, session, error = false) {
+    if (!detach(id, session)) return;
+    session.close();
+    emit({ id, status: MUX_STATUS.END, option: error ? MUX_OPTION.ERROR : 0 });
+  }
+
+  // Operasi per sesi dijalankan berurutan tanpa menahan sesi lain
+  function enqueue(id, session, task) {
+    session.chain = session.chain
+      .then(() => (session.closed ? undefined : task()))
+      .catch(error => {
+        if (!session.closed) console.warn(`[Mux] Session ${id}: ${error.message}`);
+        finish(id, session, true);
+      });
+    return session.chain;
+  }
+
+  async function pump(id, session, readable) {
+    try {
+      await readable.pipeTo(new WritableStream({
+        write(chunk) {
+          if (session.closed) throw new Error('Session closed');
+          for (let offset = 0; offset < chunk.byteLength; offset += MAX_FRAME_DATA) {
+            emit({ id, status: MUX_STATUS.KEEP, data: chunk.subarray(offset, offset + MAX_FRAME_DATA) });
+          }
+        }
+      }));
+      finish(id, session);
+    } catch (error) {
+      finish(id, session, true);
+    }
+  }
+
+  function openTcpSession(frame) {
+    const session = {
+      network: MUX_NETWORK.TCP,
+      chain: Promise.resolve(),
+      stream: null,
+      queued: 0,
+      closed: false,
+      close() {
+        session.closed = true;
+        if (session.stream) session.stream.close();
+      }
+    };
+
+    sessions.set(frame.id, session);
+    enqueue(frame.id, session, async () => {
+      const stream = await openTcp({ address: frame.address, port: frame.port, data: frame.data || new Uint8Array(0) });
+      if (session.closed) {
+        stream.close();
+        return;
+      }
+      session.stream = stream;
+      pump(frame.id, session, stream.readable);
+    });
+  }
+
+  function openUdpSession(frame) {
+    const session = {
+      network: MUX_NETWORK.UDP,
+      target: { address: frame.address, port: frame.port },
+      closed: false,
+      close() {
+        session.closed = true;
+      }
+    };
+
+    sessions.set(frame.id, session);
+    if (frame.data) sendDatagram(frame.id, session, frame);
+  }
+
+  // XUDP: Keep boleh membawa tujuan per paket, selain itu tujuan sesi
+  function sendDatagram(id, session, frame) {
+    const target = frame.network === MUX_NETWORK.UDP
+      ? { address: frame.address, port: frame.port }
+      : session.target;
+
+    queryUdp(target, frame.data).then(reply => {
+      if (!reply || session.closed) return;
+      emit({ id, status: MUX_STATUS.KEEP, network: MUX_NETWORK.UDP, address: target.address, port: target.port, data: reply });
+    }).catch(error => {
+      console.warn(`[Mux] Session ${id}: ${error.message}`);
+      finish(id, session, true);
+    });
+  }
+
+  async function handle(frame) {
+    const { id } = frame;
+    const session = sessions.get(id);
+
+    switch (frame.status) {
+      case MUX_STATUS.NEW:
+        // ID dipakai ulang: sesi lama dianggap selesai
+        if (session && detach(id, session)) session.close();
+
+        if (sessions.size >= maxSessions) {
+          console.warn(`[Mux] Session limit (${maxSessions}) reached`);
+          emit({ id, status: MUX_STATUS.END, option: MUX_OPTION.ERROR });
+        } else if (frame.network === MUX_NETWORK.TCP) {
+          openTcpSession(frame);
+        } else if (frame.network === MUX_NETWORK.UDP) {
+          openUdpSession(frame);
+        } else {
+          emit({ id, status: MUX_STATUS.END, option: MUX_OPTION.ERROR });
+        }
+        return;
+
+      case MUX_STATUS.KEEP:
+        if (!session) {
+          // Sesi sudah ditutup di sisi server; client perlu tahu
+          if (frame.data) emit({ id, status: MUX_STATUS.END });
+          return;
+        }
+        if (!frame.data) return;
+
+        if (session.network === MUX_NETWORK.UDP) {
+          sendDatagram(id, session, frame);
+          return;
+        }
+
+        session.queued += frame.data.byteLength;
+        enqueue(id, session, async () => {
+          await session.stream.writer.write(frame.data);
+          session.queued -= frame.data.byteLength;
+        });
+        if (session.queued > MAX_SESSION_BUFFER) await session.chain;
+        return;
+
+      case MUX_STATUS.END:
+        // Client selesai: data yang masih antre ditulis dulu, lalu ditutup
+        if (session && detach(id, session)) {
+          if (session.chain) {
+            session.chain.then(() => session.close());
+          } else {
+            session.close();
+          }
+        }
+        return;
+
+      case MUX_STATUS.KEEP_ALIVE:
+        return;
+
+      default:
+        throw new Error(`Unknown mux status: ${frame.status}`);
+    }
+  }
+
+  return {
+    async write(chunk) {
+      const buffer = new Uint8Array(pending.byteLength + chunk.byteLength);
+      buffer.set(pending, 0);
+      buffer.set(chunk, pending.byteLength);
+
+      const { frames, rest } = parseMuxFrames(buffer);
+      pending = rest;
+
+      for (const frame of frames) {
+        await handle(frame);
+      }
+    },
+
+    close() {
+      closed = true;
+      for (const session of sessions.values()) session.close();
+      sessions.clear();
+    },
+
+    get size() {
+      return sessions.size;
+    }
+  };
+}
@@ -0,0 +1,125 @@
+// =====================================================
+// NETWORK HELPERS
+// =====================================================
+
+const HOSTNAME_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/i;
+
+export function isIPv4(value) {
+  const parts = String(value).split('.');
+  return parts.length === 4 && parts.every(part => /^\d{1,3}$/.test(part) && Number(part) <= 255);
+}
+
+export function isIPv6(value) {
+  const text = String(value).replace(/^\[|\]$/g, '');
+  if (!text.includes(':') || !/^[0-9a-f:.]+$/i.test(text)) return false;
+
+  try {
+    new URL(`http://[${text}]/`);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+export function isHostname(value) {
+  const text = String(value);
+  if (text.length === 0 || text.length > 253) return false;
+  const labels = text.replace(/\.$/, '').split('.');
+  return labels.every(label => HOSTNAME_LABEL.test(label)) && !/^\d+$/.test(labels[labels.length - 1]);
+}
+
+export function isValidHost(value) {
+  return typeof value === 'string' && (isIPv4(value) || isIPv6(value) || isHostname(value));
+}
+
+// IPv6 perlu kurung siku di dalam URL
+export function formatHostForURL(host) {
+  const text = String(host).replace(/^\[|\]$/g, '');
+  return isIPv6(text) ? `[${text}]` : text;
+}
+
+// Alamat IP sebagai { version, value: BigInt }, atau null jika bukan IP.
+// IPv4-mapped IPv6 (::ffff:a.b.c.d) dinormalkan ke IPv4.
+export function parseIP(value) {
+  const text = String(value).replace(/^\[|\]$/g, '');
+
+  if (isIPv4(text)) {
+    return { version: 4, value: text.split('.').reduce((acc, part) => (acc << 8n) | BigInt(part), 0n) };
+  }
+  if (!isIPv6(text)) return null;
+
+  // URL menormalkan penulisan IPv6 ke grup hex, termasuk bagian IPv4
+  const normalized = new URL(`http://[${text}]/`).hostname.slice(1, -1);
+  const [head, tail] = normalized.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  const result = groups.reduce((acc, group) => (acc << 16n) | BigInt(parseInt(group, 16)), 0n);
+
+  if (result >> 32n === 0xffffn) {
+    return { version: 4, value: result & 0xffffffffn };
+  }
+  return { version: 6, value: result };
+}
+
+// "10.0.0.0/8", "fc00::/7" atau satu alamat IP; null jika tidak valid
+export function parseCIDR(value) {
+  const [address, prefixText, ...rest] = String(value).trim().split('/');
+  const ip = parseIP(address);
+  if (!ip || rest.length > 0) return null;
+
+  const bits = ip.version === 4 ? 32 : 128;
+  // Prefix IPv4-mapped ditulis dalam panjang IPv6
+  const offset = ip.version === 4 && isIPv6(address) ? 96 : 0;
+  const prefix = prefixText === undefined ? bits : Number(prefixText) - offset;
+  if (!/^\d*$/.test(prefixText || '') || !Number.isInteger(prefix) || prefix < 0 || prefix > bits) {
+    return null;
+  }
+
+  return { ...ip, prefix };
+}
+
+export function ipInCIDR(ip, cidr) {
+  if (ip.version !== cidr.version) return false;
+  const bits = BigInt(ip.version === 4 ? 32 : 128);
+  const size = BigInt(cidr.prefix);
+  const mask = ((1n << size) - 1n) << (bits - size);
+  return (ip.value & mask) === (cidr.value & mask);
+}
+
+// Alamat format SOCKS5 (dipakai Trojan dan Shadowsocks): ATYP (1 IPv4,
+// 3 domain, 4 IPv6), alamat, port big-endian. `payload` = sisa byte.
+export function parseSocksAddress(bytes) {
+  let offset = 0;
+  const addrType = bytes[offset++];
+  let address = '';
+
+  if (addrType === 1) {
+    if (offset + 4 > bytes.byteLength) return { valid: false, error: 'Truncated address' };
+    address = Array.from(bytes.subarray(offset, offset + 4)).join('.');
+    offset += 4;
+  } else if (addrType === 3) {
+    const length = bytes[offset++];
+    if (!length || offset + length > bytes.byteLength) return { valid: false, error: 'Truncated address' };
+    address = new TextDecoder().decode(bytes.subarray(offset, offset + length));
+    offset += length;
+  } else if (addrType === 4) {
+    if (offset + 16 > bytes.byteLength) return { valid: false, error: 'Truncated address' };
+    const groups = [];
+    for (let i = 0; i < 16; i += 2) {
+      groups.push(((bytes[offset + i] << 8) | bytes[offset + i + 1]).toString(16));
+    }
+    address = groups.join(':');
+    offset += 16;
+  } else {
+    return { valid: false, error: `Invalid address type: ${addrType}` };
+  }
+
+  if (offset + 2 > bytes.byteLength) return { valid: false, error: 'Truncated port' };
+  const port = (bytes[offset] << 8) | bytes[offset + 1];
+  offset += 2;
+
+  return { valid: true, address, port, payload: bytes.slice(offset) };
+}
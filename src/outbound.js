@@ -0,0 +1,84 @@
+// =====================================================
+// OUTBOUND CONNECT + FALLBACK RELAY
+// Jika connect() langsung gagal (mis. IP di belakang Cloudflare) atau
+// koneksi tidak terbuka dalam batas waktu, coba relay cadangan satu per satu.
+// =====================================================
+
+export const DEFAULT_CONNECT_TIMEOUT = 5000;
+
+// "host", "host:port" atau "[ipv6]:port"
+export function parseRelay(entry, defaultPort) {
+  const value = String(entry).trim();
+  if (!value) return null;
+
+  const ipv6 = value.match(/^\[([^\]]+)\](?::(\d+))?$/);
+  if (ipv6) {
+    return { hostname: ipv6[1], port: ipv6[2] ? Number(ipv6[2]) : defaultPort };
+  }
+
+  const parts = value.split(':');
+  if (parts.length === 2 && /^\d+$/.test(parts[1])) {
+    return { hostname: parts[0], port: Number(parts[1]) };
+  }
+
+  return { hostname: value, port: defaultPort };
+}
+
+// Relay per akun (`proxyIPs`) menggantikan daftar global PROXY_IPS
+export function resolveRelays(env, account, port) {
+  let entries = account && account.proxyIPs;
+  if (!entries || entries.length === 0) {
+    entries = env.PROXY_IPS || '';
+  }
+  if (typeof entries === 'string') {
+    entries = entries.split(',');
+  }
+
+  return entries.map(entry => parseRelay(entry, port)).filter(Boolean);
+}
+
+// Buka koneksi ke tujuan, lalu ke setiap relay jika connect() atau
+// `opened` gagal. Payload pertama baru dikirim setelah socket terpilih,
+// jadi tidak pernah dikirim ulang ke relay lain (request non-idempotent
+// bisa saja sudah diproses origin). Mengembalikan
+// { socket, writer, readable, target, relayIndex }.
+export async function openOutbound({ address, port, payload, relays = [], timeout, connect }) {
+  const targets = [{ hostname: address, port }, ...relays];
+  const waitMs = Number(timeout) || DEFAULT_CONNECT_TIMEOUT;
+  let lastError = null;
+
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    let socket = null;
+
+    try {
+      socket = connect(target);
+      await withTimeout(socket.opened, waitMs, 'Connect timeout');
+    } catch (error) {
+      lastError = error;
+      console.warn(`[Outbound] ${target.hostname}:${target.port} failed: ${error.message}`);
+      if (socket) {
+        try {
+          socket.close();
+        } catch (e) {}
+      }
+      continue;
+    }
+
+    const writer = socket.writable.getWriter();
+    if (payload.byteLength > 0) {
+      await writer.write(payload);
+    }
+    return { socket, writer, readable: socket.readable, target, relayIndex: i - 1 };
+  }
+
+  throw lastError || new Error('No outbound target');
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
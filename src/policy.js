@@ -0,0 +1,143 @@
+// =====================================================
+// DESTINATION POLICY
+// Dicek setelah header VLESS diparse, sebelum connect(). Urutan:
+//   1. deny list (global + akun): domain, CIDR, port
+//   2. allow list (jika diisi, hanya tujuan yang cocok yang boleh)
+//   3. alamat private/link-local/metadata ditolak kecuali di-allow eksplisit
+// Domain tidak di-resolve di sini; hanya literal IP yang dicek rentangnya.
+// =====================================================
+
+import { ValidationError } from './accounts.js';
+import { ipInCIDR, isHostname, parseCIDR, parseIP } from './net.js';
+
+// Loopback, RFC1918, CGNAT, link-local (termasuk 169.254.169.254),
+// benchmark, multicast dan reserved. IPv6 yang membawa alamat IPv4 di
+// 32 bit terakhir (NAT64 64:ff9b::/96 dan 64:ff9b:1::/48, IPv4-compatible
+// ::/96) ditolak seluruhnya supaya 127.0.0.1 dsb. tidak lolos lewat IPv6.
+export const PRIVATE_CIDRS = [
+  '0.0.0.0/8', '10.0.0.0/8', '100.64.0.0/10', '127.0.0.0/8', '169.254.0.0/16',
+  '172.16.0.0/12', '192.0.0.0/24', '192.168.0.0/16', '198.18.0.0/15',
+  '224.0.0.0/4', '240.0.0.0/4',
+  '::/96', '::1/128', 'fc00::/7', 'fe80::/10', 'ff00::/8',
+  '64:ff9b::/96', '64:ff9b:1::/48'
+].map(parseCIDR);
+
+// Mencakup metadata.google.internal
+export const PRIVATE_DOMAINS = ['localhost', 'local', 'internal'];
+
+// SMTP keluar dari worker hampir selalu spam
+export const DEFAULT_DENY_PORTS = '25';
+
+export const POLICY_LISTS = ['allowDomains', 'denyDomains', 'allowCidrs', 'denyCidrs', 'allowPorts', 'denyPorts'];
+
+function parseList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  return String(value || '').split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// "example.com", "*.example.com" dan ".example.com" sama-sama mencakup
+// domain itu dan semua subdomainnya
+function normalizeDomain(entry) {
+  return entry.toLowerCase().replace(/^\*?\./, '').replace(/\.$/, '');
+}
+
+function parsePortRange(entry) {
+  const match = /^(\d{1,5})(?:-(\d{1,5}))?$/.exec(entry);
+  if (!match) return null;
+  const from = Number(match[1]);
+  const to = Number(match[2] || match[1]);
+  if (from < 1 || to > 65535 || from > to) return null;
+  return { from, to };
+}
+
+function compileList(name, entries) {
+  return parseList(entries).map(entry => {
+    const compiled = name.endsWith('Cidrs')
+      ? parseCIDR(entry)
+      : name.endsWith('Ports')
+        ? parsePortRange(entry)
+        : isHostname(normalizeDomain(entry)) ? normalizeDomain(entry) : null;
+    if (!compiled) throw new ValidationError(`Invalid ${name} entry: ${entry}`);
+    return compiled;
+  });
+}
+
+// Validasi + normalisasi daftar policy per akun (input API)
+export function normalizePolicy(input) {
+  if (input === undefined || input === null || input === '') return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new ValidationError('Must be an object');
+  }
+
+  const policy = {};
+  for (const name of POLICY_LISTS) {
+    const entries = parseList(input[name]);
+    compileList(name, entries);
+    if (entries.length > 0) policy[name] = entries;
+  }
+  return Object.keys(policy).length > 0 ? policy : null;
+}
+
+// Gabungan daftar global (env) dan akun
+export function compilePolicy(env = {}, account = {}) {
+  const global = {
+    allowDomains: env.ALLOW_DOMAINS,
+    denyDomains: env.DENY_DOMAINS,
+    allowCidrs: env.ALLOW_CIDRS,
+    denyCidrs: env.DENY_CIDRS,
+    allowPorts: env.ALLOW_PORTS,
+    denyPorts: env.DENY_PORTS ?? DEFAULT_DENY_PORTS
+  };
+  const own = account.policy || {};
+
+  const policy = {};
+  for (const name of POLICY_LISTS) {
+    policy[name] = [...compileList(name, global[name]), ...compileList(name, own[name])];
+  }
+  return policy;
+}
+
+function matchesDomain(host, domains) {
+  return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+}
+
+function matchesPort(port, ranges) {
+  return ranges.some(({ from, to }) => port >= from && port <= to);
+}
+
+// { allowed: true } atau { allowed: false, reason }
+export function checkDestination(policy, address, port) {
+  const ip = parseIP(address);
+  const host = ip ? null : normalizeDomain(String(address));
+  const matchesAddress = (domains, cidrs) => ip
+    ? cidrs.some(cidr => ipInCIDR(ip, cidr))
+    : matchesDomain(host, domains);
+
+  if (matchesPort(port, policy.denyPorts)) {
+    return { allowed: false, reason: `port ${port} is denied` };
+  }
+  if (matchesAddress(policy.denyDomains, policy.denyCidrs)) {
+    return { allowed: false, reason: `${address} is on the deny list` };
+  }
+
+  if (policy.allowPorts.length > 0 && !matchesPort(port, policy.allowPorts)) {
+    return { allowed: false, reason: `port ${port} is not on the allow list` };
+  }
+
+  const explicitlyAllowed = matchesAddress(policy.allowDomains, policy.allowCidrs);
+  const hasAllowList = policy.allowDomains.length > 0 || policy.allowCidrs.length > 0;
+  if (hasAllowList && !explicitlyAllowed) {
+    return { allowed: false, reason: `${address} is not on the allow list` };
+  }
+
+  if (!explicitlyAllowed) {
+    if (ip && PRIVATE_CIDRS.some(cidr => ipInCIDR(ip, cidr))) {
+      return { allowed: false, reason: `${address} is a private or reserved address` };
+    }
+    if (host && matchesDomain(host, PRIVATE_DOMAINS)) {
+      return { allowed: false, reason: `${address} is an internal hostname` };
+    }
+  }
+
+  return { allowed: true };
+}
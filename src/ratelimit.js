@@ -0,0 +1,189 @@
+// =====================================================
+// RATE LIMITING
+// Batas request per IP (CF-Connecting-IP) untuk API admin, dan ban
+// sementara setelah terlalu banyak kegagalan auth (login salah, handshake
+// VLESS dengan UUID tidak dikenal). Counter per IP disimpan di instance
+// AccountState "ip:<addr>" supaya berlaku lintas isolate.
+// =====================================================
+
+import { callAccountState, jsonInit, resolveStateNamespace } from './account-state.js';
+
+const DEFAULTS = {
+  window: 60,
+  apiLimit: 120,
+  failureLimit: 10,
+  banSeconds: 15 * 60
+};
+
+// Batas entri counter/ban yang disimpan per isolate
+const MEMORY_MAX_ENTRIES = 10000;
+
+let sharedMemoryStore = null;
+
+// Ban yang sudah diketahui isolate ini: ip -> timestamp berakhir. Dicek
+// sebelum upgrade WebSocket tanpa memanggil Durable Object.
+const knownBans = new Map();
+
+function parseNumber(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+}
+
+// RATE_LIMIT_WINDOW (detik), RATE_LIMIT_API (request/window, 0 = mati),
+// AUTH_FAILURE_LIMIT (gagal/window sebelum ban, 0 = mati), AUTH_BAN_SECONDS
+export function resolveRateLimits(env = {}) {
+  return {
+    window: parseNumber(env.RATE_LIMIT_WINDOW, DEFAULTS.window) * 1000 || DEFAULTS.window * 1000,
+    apiLimit: parseNumber(env.RATE_LIMIT_API, DEFAULTS.apiLimit),
+    failureLimit: parseNumber(env.AUTH_FAILURE_LIMIT, DEFAULTS.failureLimit),
+    ban: parseNumber(env.AUTH_BAN_SECONDS, DEFAULTS.banSeconds) * 1000
+  };
+}
+
+function secondsUntil(time, now) {
+  return Math.max(1, Math.ceil((time - now) / 1000));
+}
+
+function rollWindow(counter, window, now) {
+  return counter && now - counter.start < window ? counter : { start: now, count: 0 };
+}
+
+// Logika counter dipakai bersama Durable Object dan store in-memory.
+// state: { hits, failures, bannedUntil }
+export function applyHit(state, { apiLimit, window }, now = Date.now()) {
+  if (state.bannedUntil > now) {
+    return { allowed: false, banned: true, retryAfter: secondsUntil(state.bannedUntil, now) };
+  }
+  if (!apiLimit) return { allowed: true };
+
+  state.hits = rollWindow(state.hits, window, now);
+  state.hits.count++;
+  if (state.hits.count > apiLimit) {
+    return { allowed: false, banned: false, retryAfter: secondsUntil(state.hits.start + window, now) };
+  }
+  return { allowed: true };
+}
+
+export function applyFailure(state, { failureLimit, window, ban }, now = Date.now()) {
+  if (state.bannedUntil > now) {
+    return { banned: true, retryAfter: secondsUntil(state.bannedUntil, now) };
+  }
+  if (!failureLimit || !ban) return { banned: false };
+
+  state.failures = rollWindow(state.failures, window, now);
+  state.failures.count++;
+  if (state.failures.count >= failureLimit) {
+    state.bannedUntil = now + ban;
+    state.failures = null;
+    return { banned: true, started: true, retryAfter: secondsUntil(state.bannedUntil, now) };
+  }
+  return { banned: false };
+}
+
+export function createMemoryRateLimitStore() {
+  const states = new Map();
+
+  const stateFor = ip => {
+    let state = states.get(ip);
+    if (!state) {
+      if (states.size >= MEMORY_MAX_ENTRIES) {
+        states.delete(states.keys().next().value);
+      }
+      state = { hits: null, failures: null, bannedUntil: 0 };
+      states.set(ip, state);
+    }
+    return state;
+  };
+
+  return {
+    async hit(ip, limits) {
+      return applyHit(stateFor(ip), limits);
+    },
+
+    async fail(ip, limits) {
+      return applyFailure(stateFor(ip), limits);
+    }
+  };
+}
+
+function createDurableRateLimitStore(namespace) {
+  return {
+    hit(ip, limits) {
+      return callAccountState(namespace, `ip:${ip}`, '/ratelimit/hit', jsonInit(limits));
+    },
+
+    fail(ip, limits) {
+      return callAccountState(namespace, `ip:${ip}`, '/ratelimit/fail', jsonInit(limits));
+    }
+  };
+}
+
+function getRateLimitStore(env) {
+  const namespace = resolveStateNamespace(env);
+  if (namespace) {
+    return createDurableRateLimitStore(namespace);
+  }
+
+  if (!sharedMemoryStore) {
+    console.warn('[RateLimit] Durable Object binding not found, using per-isolate counters');
+    sharedMemoryStore = createMemoryRateLimitStore();
+  }
+  return sharedMemoryStore;
+}
+
+export function clientIP(request) {
+  return request.headers.get('CF-Connecting-IP');
+}
+
+function rememberBan(ip, result) {
+  if (!result.banned) return;
+  if (knownBans.size >= MEMORY_MAX_ENTRIES) {
+    knownBans.delete(knownBans.keys().next().value);
+  }
+  knownBans.set(ip, Date.now() + result.retryAfter * 1000);
+}
+
+// Sisa detik ban yang diketahui isolate ini, 0 jika tidak diban
+export function knownBanSeconds(ip) {
+  if (!ip) return 0;
+  const until = knownBans.get(ip);
+  if (!until) return 0;
+  if (until <= Date.now()) {
+    knownBans.delete(ip);
+    return 0;
+  }
+  return secondsUntil(until, Date.now());
+}
+
+// Satu request API dari `ip`. Tanpa CF-Connecting-IP (dev lokal) atau saat
+// Durable Object gagal, request diloloskan.
+export async function checkRequest(env, ip) {
+  if (!ip) return { allowed: true };
+
+  try {
+    const result = await getRateLimitStore(env).hit(ip, resolveRateLimits(env));
+    rememberBan(ip, result);
+    return result;
+  } catch (error) {
+    console.error('[RateLimit] Check failed:', error.message);
+    return { allowed: true };
+  }
+}
+
+// Catat satu kegagalan auth; hasil `banned` berarti IP baru saja/sedang diban
+export async function recordAuthFailure(env, ip) {
+  if (!ip) return { banned: false };
+
+  try {
+    const result = await getRateLimitStore(env).fail(ip, resolveRateLimits(env));
+    rememberBan(ip, result);
+    if (result.started) {
+      console.warn(`[RateLimit] ${ip} banned for ${result.retryAfter}s after repeated auth failures`);
+    }
+    return result;
+  } catch (error) {
+    console.error('[RateLimit] Failure record failed:', error.message);
+    return { banned: false };
+  }
+}
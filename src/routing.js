@@ -0,0 +1,71 @@
+// =====================================================
+// WEBSOCKET PATH ROUTING
+// Upgrade VLESS/Trojan hanya diterima di:
+//   - DEFAULT_PATH (akun tanpa path sendiri)
+//   - path akun (index path:<path>:<uuid> di KV)
+//   - <path>/<uuid>: UUID di path harus sama dengan UUID handshake
+// Path lain mendapat decoy, bukan proxy.
+// =====================================================
+
+import { shadowsocksBasePath } from './shadowsocks.js';
+
+export const DEFAULT_WS_PATH = '/';
+
+const UUID_SEGMENT = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Route lain di worker yang tidak boleh dipakai sebagai path akun
+const RESERVED_PREFIXES = ['/api/', '/sub/'];
+
+// "/ws/" dan "/ws" dianggap sama
+export function normalizePath(path) {
+  return String(path || '').replace(/\/+$/, '') || '/';
+}
+
+export function defaultWsPath(env = {}) {
+  return normalizePath(env.DEFAULT_PATH || DEFAULT_WS_PATH);
+}
+
+// Path efektif akun; akun lama tanpa `path` ikut DEFAULT_PATH
+export function accountWsPath(env, account) {
+  return account.path ? normalizePath(account.path) : defaultWsPath(env);
+}
+
+// "/ws/<uuid>" -> { base: '/ws', uuid }, selain itu null
+export function splitUuidPath(pathname) {
+  const slash = pathname.lastIndexOf('/');
+  const uuid = pathname.slice(slash + 1).toLowerCase();
+  if (!UUID_SEGMENT.test(uuid)) return null;
+  return { base: normalizePath(pathname.slice(0, slash)), uuid };
+}
+
+// Path yang bentrok dengan route lain, untuk validasi input
+export function isReservedPath(env, path) {
+  const normalized = `${normalizePath(path)}/`;
+  return RESERVED_PREFIXES.some(prefix => normalized.startsWith(prefix))
+    || normalized.startsWith(`${shadowsocksBasePath(env)}/`);
+}
+
+// Route untuk upgrade WebSocket: { path, uuid } atau null (decoy)
+export async function resolveProxyRoute(env, pathname, repository) {
+  const path = normalizePath(pathname);
+
+  const embedded = splitUuidPath(path);
+  if (embedded) {
+    const account = await repository.authorize(embedded.uuid);
+    if (account && accountWsPath(env, account) === embedded.base) {
+      return { path: embedded.base, uuid: embedded.uuid };
+    }
+    return null;
+  }
+
+  if (path === defaultWsPath(env) || await repository.hasPath(path)) {
+    return { path, uuid: null };
+  }
+  return null;
+}
+
+// Dicek setelah handshake: akun hanya boleh lewat path miliknya
+export function routeAllowsAccount(env, route, account) {
+  if (route.uuid && route.uuid !== account.uuid) return false;
+  return accountWsPath(env, account) === route.path;
+}
@@ -0,0 +1,269 @@
+// =====================================================
+// ACCOUNT SCHEMA
+// Validasi input pembuatan akun; error dikumpulkan per field supaya UI
+// bisa menampilkannya di samping input yang bersangkutan.
+// =====================================================
+
+import {
+  ACCOUNT_STATUSES,
+  PROTOCOLS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  resolveExpiry,
+  resolveMaxConnections,
+  resolveQuota,
+  ValidationError
+} from './accounts.js';
+import { entryPorts } from './links.js';
+import { isValidHost } from './net.js';
+import { parseRelay } from './outbound.js';
+import { normalizePolicy } from './policy.js';
+import { defaultWsPath, isReservedPath, normalizePath, splitUuidPath } from './routing.js';
+import { DEFAULT_SS_CIPHER, generateSsPassword, SS_CIPHERS } from './shadowsocks.js';
+
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+export const SECURITY_VALUES = ['tls', 'none'];
+const SS_PASSWORD_PATTERN = /^[A-Za-z0-9._~+=-]{8,128}$/;
+// Path ikut disimpan di metadata KV akun (maks 1024 byte)
+const MAX_PATH_LENGTH = 128;
+// Setiap entry address menghasilkan satu link per port entry
+const MAX_ENTRY_ADDRESSES = 16;
+// Relay dicoba berurutan per koneksi, jadi daftarnya dibatasi
+const MAX_PROXY_IPS = 8;
+// Hostname maks 253 + ":65535"
+const MAX_RELAY_LENGTH = 259;
+export const DEFAULT_MAX_BATCH = 50;
+
+export function allowedPorts(env = {}) {
+  const { tls, plain } = entryPorts(env);
+  return [...tls, ...plain];
+}
+
+function isValidRelay(entry) {
+  if (entry.length > MAX_RELAY_LENGTH) return false;
+  const relay = parseRelay(entry, 443);
+  return isValidHost(relay.hostname) && Number.isInteger(relay.port) && relay.port > 0 && relay.port < 65536;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Mengembalikan data akun yang sudah dinormalisasi, atau melempar
+// ValidationError dengan `fields` berisi pesan per field.
+export function validateAccountInput(data, env = {}) {
+  const errors = {};
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+
+  // errorKey: nama input di form jika berbeda dari field yang disimpan
+  const field = (name, check, errorKey = name) => {
+    try {
+      const result = check();
+      if (result !== undefined) value[name] = result;
+    } catch (error) {
+      if (!(error instanceof ValidationError)) throw error;
+      errors[errorKey] = error.message;
+    }
+  };
+
+  const fail = message => {
+    throw new ValidationError(message);
+  };
+
+  field('uuid', () => {
+    if (isBlank(data.uuid)) return crypto.randomUUID();
+    if (typeof data.uuid !== 'string' || !UUID_PATTERN.test(data.uuid)) fail('Must be a UUID');
+    return data.uuid.toLowerCase();
+  });
+
+  field('protocol', () => {
+    const protocol = isBlank(data.protocol) ? 'vless' : data.protocol;
+    if (!PROTOCOLS.includes(protocol)) fail(`Must be one of ${PROTOCOLS.join(', ')}`);
+    return protocol;
+  });
+
+  // Cipher dan key hanya untuk akun Shadowsocks
+  if (value.protocol === 'shadowsocks') {
+    field('ssCipher', () => {
+      const cipher = isBlank(data.ssCipher) ? DEFAULT_SS_CIPHER : data.ssCipher;
+      if (!SS_CIPHERS[cipher]) fail(`Must be one of ${Object.keys(SS_CIPHERS).join(', ')}`);
+      return cipher;
+    });
+
+    field('ssPassword', () => {
+      if (isBlank(data.ssPassword)) return generateSsPassword();
+      // Ikut masuk link ss:// dan UI, jadi karakternya dibatasi
+      if (typeof data.ssPassword !== 'string' || !SS_PASSWORD_PATTERN.test(data.ssPassword)) {
+        fail('Must be 8-128 characters: letters, digits, ".", "_", "~", "+", "=" or "-"');
+      }
+      return data.ssPassword;
+    });
+  }
+
+  field('server', () => {
+    if (isBlank(data.server)) fail('Required');
+    if (!isValidHost(data.server)) fail('Must be a hostname or IP address');
+    return data.server;
+  });
+
+  for (const name of ['wsHost', 'sni']) {
+    field(name, () => {
+      if (isBlank(data[name])) return null;
+      if (!isValidHost(data[name])) fail('Must be a hostname or IP address');
+      return data[name];
+    });
+  }
+
+  field('port', () => {
+    const ports = allowedPorts(env);
+    const port = isBlank(data.port) ? Number(env.DEFAULT_PORT || 443) : Number(data.port);
+    if (!ports.includes(port)) fail(`Must be one of ${ports.join(', ')}`);
+    return String(port);
+  });
+
+  field('path', () => {
+    const path = isBlank(data.path) ? defaultWsPath(env) : data.path;
+    if (typeof path !== 'string' || !path.startsWith('/')) fail('Must start with "/"');
+    if (path.length > MAX_PATH_LENGTH) fail(`Must be at most ${MAX_PATH_LENGTH} characters`);
+    // ":" memisahkan path dan UUID di key index path:<path>:<uuid>
+    if (/[\s?#:]/.test(path)) fail('Must not contain whitespace, ":", "?" or "#"');
+    // Segmen UUID di akhir path dibaca router sebagai UUID akun
+    if (isReservedPath(env, path) || splitUuidPath(normalizePath(path))) fail('Path is reserved');
+    return normalizePath(path);
+  });
+
+  field('security', () => {
+    const security = isBlank(data.security) ? 'tls' : data.security;
+    if (!SECURITY_VALUES.includes(security)) fail(`Must be one of ${SECURITY_VALUES.join(', ')}`);
+    return security;
+  });
+
+  // Relay cadangan akun, menggantikan PROXY_IPS global (src/outbound.js)
+  field('proxyIPs', () => {
+    if (isBlank(data.proxyIPs)) return [];
+    const list = Array.isArray(data.proxyIPs) ? data.proxyIPs : String(data.proxyIPs).split(',');
+    if (list.some(entry => typeof entry !== 'string')) fail('Must be a list of strings');
+    const relays = list.map(entry => entry.trim()).filter(Boolean);
+    if (relays.length > MAX_PROXY_IPS) fail(`Must list at most ${MAX_PROXY_IPS} relays`);
+    const invalid = relays.find(entry => !isValidRelay(entry));
+    if (invalid) fail(`Must be "host", "host:port" or "[ipv6]:port": ${invalid}`);
+    return relays;
+  });
+
+  // Entry address link akun, menggantikan ENTRY_ADDRESSES global
+  field('entryAddresses', () => {
+    if (isBlank(data.entryAddresses)) return [];
+    const list = Array.isArray(data.entryAddresses) ? data.entryAddresses : String(data.entryAddresses).split(',');
+    const addresses = list.map(entry => String(entry).trim()).filter(Boolean);
+    if (addresses.length > MAX_ENTRY_ADDRESSES) fail(`Must list at most ${MAX_ENTRY_ADDRESSES} addresses`);
+    const invalid = addresses.find(address => !isValidHost(address));
+    if (invalid) fail(`Invalid hostname or IP address: ${invalid}`);
+    return addresses;
+  });
+
+  field('expiresAt', () => resolveExpiry(data), isBlank(data.expiresAt) ? 'validDays' : 'expiresAt');
+  field('quotaBytes', () => resolveQuota(data), isBlank(data.quotaBytes) ? 'quotaGB' : 'quotaBytes');
+  field('maxConnections', () => resolveMaxConnections(data));
+
+  // Allow/deny list tujuan per akun, lihat src/policy.js
+  field('policy', () => normalizePolicy(data.policy));
+
+  field('suspended', () => {
+    if (isBlank(data.suspended)) return false;
+    if (typeof data.suspended !== 'boolean') fail('Must be a boolean');
+    return data.suspended;
+  });
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return value;
+}
+
+// PATCH: field yang tidak dikirim diambil dari akun tersimpan, lalu hasil
+// gabungan divalidasi ulang seperti akun baru. UUID hanya berubah lewat rotate.
+export function validateAccountPatch(account, patch, env = {}) {
+  if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+    throw new ValidationError('Request body must be a JSON object');
+  }
+  if (!isBlank(patch.uuid) && String(patch.uuid).toLowerCase() !== account.uuid) {
+    throw new ValidationError('Validation failed', { uuid: 'Cannot be changed, use rotate instead' });
+  }
+
+  // validDays/quotaGB baru menggantikan nilai absolut yang tersimpan
+  const base = { ...account };
+  if (!isBlank(patch.validDays)) delete base.expiresAt;
+  if (!isBlank(patch.quotaGB)) delete base.quotaBytes;
+
+  return {
+    ...account,
+    ...validateAccountInput({ ...base, ...patch, uuid: account.uuid }, env)
+  };
+}
+
+// Opsi pembuatan di luar data akun: `count` untuk bulk provisioning dan
+// `update` untuk menimpa akun yang sudah ada (wajib menyebut uuid).
+export function validateCreateOptions(data, env = {}) {
+  const errors = {};
+  const maxBatch = Number(env.MAX_BATCH_CREATE) || DEFAULT_MAX_BATCH;
+  const count = isBlank(data.count) ? 1 : Number(data.count);
+  const update = data.update === true;
+
+  if (!Number.isInteger(count) || count < 1 || count > maxBatch) {
+    errors.count = `Must be an integer between 1 and ${maxBatch}`;
+  } else if (count > 1 && !isBlank(data.uuid)) {
+    errors.count = 'Cannot create multiple accounts with a fixed uuid';
+  }
+
+  if (data.update !== undefined && typeof data.update !== 'boolean') {
+    errors.update = 'Must be a boolean';
+  } else if (update && isBlank(data.uuid)) {
+    errors.uuid = 'Required when update is true';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return { count, update };
+}
+
+// Query listing GET /api/accounts: cursor, limit, q, server, sni, status,
+// expiresBefore, expiresAfter (ISO date)
+export function validateListQuery(params) {
+  const errors = {};
+  const filter = {};
+  const get = name => (params.get(name) || '').trim();
+
+  const limit = get('limit') ? Number(get('limit')) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    errors.limit = `Must be an integer between 1 and ${MAX_PAGE_SIZE}`;
+  }
+
+  for (const name of ['q', 'server', 'sni']) {
+    if (get(name)) filter[name] = get(name);
+  }
+
+  if (get('status')) {
+    if (ACCOUNT_STATUSES.includes(get('status'))) filter.status = get('status');
+    else errors.status = `Must be one of ${ACCOUNT_STATUSES.join(', ')}`;
+  }
+
+  for (const name of ['expiresBefore', 'expiresAfter']) {
+    if (!get(name)) continue;
+    const time = Date.parse(get(name));
+    if (Number.isNaN(time)) errors[name] = 'Must be an ISO date';
+    else filter[name] = time;
+  }
+
+  if (Object.keys(errors).length > 0) {
+    throw new ValidationError('Validation failed', errors);
+  }
+
+  return { cursor: get('cursor') || null, limit, filter };
+}
@@ -0,0 +1,112 @@
+// =====================================================
+// CONNECTION LIMITS
+// Sesi aktif per UUID dihitung di Durable Object AccountState: acquire
+// saat handshake, release saat koneksi selesai, heartbeat di antaranya.
+// =====================================================
+
+import { callAccountState, jsonInit, resolveStateNamespace, SESSION_LEASE } from './account-state.js';
+
+const HEARTBEAT_INTERVAL = SESSION_LEASE / 3;
+
+let sharedMemoryStore = null;
+
+export function createMemorySessionStore() {
+  const sessions = new Map();
+
+  const active = (uuid, now = Date.now()) => {
+    const entries = sessions.get(uuid) || new Map();
+    for (const [id, expires] of entries) {
+      if (expires <= now) entries.delete(id);
+    }
+    sessions.set(uuid, entries);
+    return entries;
+  };
+
+  return {
+    async count(uuid) {
+      return { active: active(uuid).size };
+    },
+
+    async acquire(uuid, sessionId, limit = 0) {
+      const entries = active(uuid);
+      if (limit > 0 && entries.size >= limit) {
+        return { allowed: false, active: entries.size };
+      }
+      entries.set(sessionId, Date.now() + SESSION_LEASE);
+      return { allowed: true, active: entries.size };
+    },
+
+    async renew(uuid, sessionId) {
+      const entries = active(uuid);
+      if (entries.has(sessionId)) entries.set(sessionId, Date.now() + SESSION_LEASE);
+      return { active: entries.size };
+    },
+
+    async release(uuid, sessionId) {
+      const entries = active(uuid);
+      entries.delete(sessionId);
+      return { active: entries.size };
+    }
+  };
+}
+
+function createDurableSessionStore(namespace) {
+  return {
+    count(uuid) {
+      return callAccountState(namespace, uuid, '/sessions');
+    },
+
+    acquire(uuid, sessionId, limit = 0) {
+      return callAccountState(namespace, uuid, '/sessions/acquire', jsonInit({ sessionId, limit }));
+    },
+
+    renew(uuid, sessionId) {
+      return callAccountState(namespace, uuid, '/sessions/renew', jsonInit({ sessionId }));
+    },
+
+    release(uuid, sessionId) {
+      return callAccountState(namespace, uuid, '/sessions/release', jsonInit({ sessionId }));
+    }
+  };
+}
+
+export function getSessionStore(env) {
+  const namespace = resolveStateNamespace(env);
+  if (namespace) {
+    return createDurableSessionStore(namespace);
+  }
+
+  if (!sharedMemoryStore) {
+    console.warn('[Sessions] Durable Object binding not found, using in-memory session counts');
+    sharedMemoryStore = createMemorySessionStore();
+  }
+  return sharedMemoryStore;
+}
+
+// Daftarkan satu koneksi. Mengembalikan null jika limit akun sudah penuh,
+// selain itu handle dengan `release()` (idempotent).
+export async function openSession(store, uuid, limit = 0) {
+  const sessionId = crypto.randomUUID();
+  const result = await store.acquire(uuid, sessionId, Number(limit) || 0);
+  if (!result.allowed) return null;
+
+  const heartbeat = setInterval(() => {
+    store.renew(uuid, sessionId).catch(error => {
+      console.error('[Sessions] Heartbeat failed:', error.message);
+    });
+  }, HEARTBEAT_INTERVAL);
+
+  let released = false;
+
+  return {
+    active: result.active,
+    release() {
+      if (released) return;
+      released = true;
+      clearInterval(heartbeat);
+      store.release(uuid, sessionId).catch(error => {
+        console.error('[Sessions] Release failed:', error.message);
+      });
+    }
+  };
+}
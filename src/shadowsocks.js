@@ -0,0 +1,181 @@
+// =====================================================
+// SHADOWSOCKS AEAD
+// Stream: [salt][len terenkripsi + tag][payload terenkripsi + tag]...
+// Subkey = HKDF-SHA1(master key, salt, "ss-subkey"), nonce 12 byte
+// little-endian yang naik setiap operasi. Payload pertama dari client
+// diawali alamat tujuan format SOCKS5. Hanya cipher AES-GCM (WebCrypto
+// tidak menyediakan ChaCha20-Poly1305).
+// =====================================================
+
+import { base64UrlEncode } from './encoding.js';
+import { md5 } from './md5.js';
+
+export const SS_CIPHERS = {
+  'aes-128-gcm': { keySize: 16, saltSize: 16 },
+  'aes-256-gcm': { keySize: 32, saltSize: 32 }
+};
+
+export const DEFAULT_SS_CIPHER = 'aes-256-gcm';
+
+// Inbound Shadowsocks: <SS_PATH>/<uuid akun>
+export const DEFAULT_SS_PATH = '/ss';
+
+const TAG_SIZE = 16;
+const MAX_PAYLOAD = 0x3fff;
+const SUBKEY_INFO = new TextEncoder().encode('ss-subkey');
+
+const masterKeyCache = new Map();
+
+export function shadowsocksBasePath(env = {}) {
+  return (env.SS_PATH || DEFAULT_SS_PATH).replace(/\/+$/, '');
+}
+
+export function shadowsocksPath(env, uuid) {
+  return `${shadowsocksBasePath(env)}/${uuid}`;
+}
+
+// UUID dari path inbound, atau null jika path bukan milik inbound SS
+export function matchShadowsocksPath(env, pathname) {
+  const prefix = `${shadowsocksBasePath(env)}/`;
+  if (!pathname.startsWith(prefix)) return null;
+  const uuid = pathname.slice(prefix.length).toLowerCase();
+  return /^[0-9a-f-]{36}$/.test(uuid) ? uuid : null;
+}
+
+export function generateSsPassword() {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(24)));
+}
+
+// EVP_BytesToKey (OpenSSL, MD5, tanpa salt) seperti semua implementasi SS
+export function evpBytesToKey(password, keySize) {
+  const secret = new TextEncoder().encode(password);
+  const key = new Uint8Array(keySize);
+  let previous = new Uint8Array(0);
+
+  for (let offset = 0; offset < keySize; offset += 16) {
+    const input = new Uint8Array(previous.byteLength + secret.byteLength);
+    input.set(previous);
+    input.set(secret, previous.byteLength);
+    previous = md5(input);
+    key.set(previous.subarray(0, Math.min(16, keySize - offset)), offset);
+  }
+  return key;
+}
+
+function masterKey(method, password) {
+  const cacheKey = `${method}:${password}`;
+  if (!masterKeyCache.has(cacheKey)) {
+    if (masterKeyCache.size >= 1000) masterKeyCache.clear();
+    masterKeyCache.set(cacheKey, evpBytesToKey(password, SS_CIPHERS[method].keySize));
+  }
+  return masterKeyCache.get(cacheKey);
+}
+
+async function deriveSubkey(method, password, salt) {
+  const { keySize } = SS_CIPHERS[method];
+  const base = await crypto.subtle.importKey('raw', masterKey(method, password), 'HKDF', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-1', salt, info: SUBKEY_INFO },
+    base,
+    keySize * 8
+  );
+  return crypto.subtle.importKey('raw', bits, 'AES-GCM', false, ['encrypt', 'decrypt']);
+}
+
+// Nonce 12 byte little-endian, dipakai lalu dinaikkan
+function createNonce() {
+  const nonce = new Uint8Array(12);
+  return () => {
+    const current = nonce.slice();
+    for (let i = 0; i < nonce.length; i++) {
+      nonce[i]++;
+      if (nonce[i] !== 0) break;
+    }
+    return current;
+  };
+}
+
+function concat(a, b) {
+  const result = new Uint8Array(a.byteLength + b.byteLength);
+  result.set(a);
+  result.set(b, a.byteLength);
+  return result;
+}
+
+// Client -> server: ciphertext WebSocket menjadi plaintext. Tag yang tidak
+// cocok (key salah atau data rusak) membuat stream error.
+export function createDecryptStream(method, password) {
+  const { saltSize } = SS_CIPHERS[method];
+  const nextNonce = createNonce();
+  let buffer = new Uint8Array(0);
+  let key = null;
+  let payloadLength = null;
+
+  const open = async (data) => new Uint8Array(await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: nextNonce(), tagLength: TAG_SIZE * 8 },
+    key,
+    data
+  ));
+
+  return new TransformStream({
+    async transform(chunk, controller) {
+      buffer = concat(buffer, chunk);
+
+      if (!key) {
+        if (buffer.byteLength < saltSize) return;
+        key = await deriveSubkey(method, password, buffer.slice(0, saltSize));
+        buffer = buffer.slice(saltSize);
+      }
+
+      for (;;) {
+        if (payloadLength === null) {
+          if (buffer.byteLength < 2 + TAG_SIZE) return;
+          const length = await open(buffer.slice(0, 2 + TAG_SIZE));
+          payloadLength = ((length[0] << 8) | length[1]) & MAX_PAYLOAD;
+          buffer = buffer.slice(2 + TAG_SIZE);
+        }
+
+        if (buffer.byteLength < payloadLength + TAG_SIZE) return;
+        const payload = await open(buffer.slice(0, payloadLength + TAG_SIZE));
+        buffer = buffer.slice(payloadLength + TAG_SIZE);
+        payloadLength = null;
+        controller.enqueue(payload);
+      }
+    }
+  });
+}
+
+// Server -> client: plaintext remote menjadi chunk AEAD, salt acak di depan
+// pesan pertama
+export function createEncryptStream(method, password) {
+  const { saltSize } = SS_CIPHERS[method];
+  const nextNonce = createNonce();
+  let key = null;
+  let salt = null;
+
+  const seal = async (data) => new Uint8Array(await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv: nextNonce(), tagLength: TAG_SIZE * 8 },
+    key,
+    data
+  ));
+
+  return new TransformStream({
+    async transform(chunk, controller) {
+      if (!key) {
+        salt = crypto.getRandomValues(new Uint8Array(saltSize));
+        key = await deriveSubkey(method, password, salt);
+      }
+
+      let output = salt || new Uint8Array(0);
+      salt = null;
+
+      for (let offset = 0; offset < chunk.byteLength; offset += MAX_PAYLOAD) {
+        const piece = chunk.subarray(offset, offset + MAX_PAYLOAD);
+        const length = await seal(new Uint8Array([piece.byteLength >> 8, piece.byteLength & 0xff]));
+        output = concat(concat(output, length), await seal(piece));
+      }
+
+      if (output.byteLength > 0) controller.enqueue(output);
+    }
+  });
+}
@@ -0,0 +1,199 @@
+// =====================================================
+// SUBSCRIPTION
+// Config per akun untuk berbagai client: v2rayN (base64), Clash Meta,
+// sing-box dan daftar vless:// / trojan:// / ss:// polos
+// =====================================================
+
+import { base64Encode } from './encoding.js';
+import { accountLabel, buildAccountLinks, resolveLinkConfig, shadowsocksPluginOptions } from './links.js';
+
+const FORMAT_ALIASES = {
+  v2ray: 'base64',
+  v2rayn: 'base64',
+  clash: 'clash',
+  meta: 'clash',
+  mihomo: 'clash',
+  'sing-box': 'singbox',
+  singbox: 'singbox',
+  plain: 'plain',
+  raw: 'plain',
+  base64: 'base64'
+};
+
+const UPDATE_INTERVAL_HOURS = 24;
+
+// ?format= menang; tanpa itu tebak dari User-Agent client
+export function pickFormat(url, userAgent = '') {
+  const requested = (url.searchParams.get('format') || url.searchParams.get('target') || '').toLowerCase();
+  if (requested) return FORMAT_ALIASES[requested] || null;
+
+  const ua = userAgent.toLowerCase();
+  if (/clash|mihomo|stash/.test(ua)) return 'clash';
+  if (/sing-box|sfa|sfi|sfm/.test(ua)) return 'singbox';
+  return 'base64';
+}
+
+export function renderSubscription(account, format, usage = null, env = {}) {
+  const headers = {
+    'Profile-Update-Interval': String(UPDATE_INTERVAL_HOURS),
+    'Content-Disposition': `inline; filename="${accountLabel(account)}"`,
+    'Cache-Control': 'no-store'
+  };
+
+  // Dibaca client (Clash, v2rayN, sing-box) untuk menampilkan sisa kuota/masa aktif
+  const userinfo = [
+    `upload=${usage ? usage.upload : 0}`,
+    `download=${usage ? usage.download : 0}`,
+    `total=${account.quotaBytes || 0}`
+  ];
+  if (account.expiresAt) {
+    userinfo.push(`expire=${Math.floor(Date.parse(account.expiresAt) / 1000)}`);
+  }
+  headers['Subscription-Userinfo'] = userinfo.join('; ');
+
+  const config = resolveLinkConfig(account, env);
+  const entries = buildAccountLinks(account, env);
+  const links = entries.map(entry => entry.link);
+
+  switch (format) {
+    case 'clash':
+      return { body: renderClash(config, entries), headers: { ...headers, 'Content-Type': 'text/yaml; charset=utf-8' } };
+    case 'singbox':
+      return {
+        body: JSON.stringify(renderSingBox(config, entries), null, 2),
+        headers: { ...headers, 'Content-Type': 'application/json; charset=utf-8' }
+      };
+    case 'plain':
+      return { body: links.join('\n'), headers: { ...headers, 'Content-Type': 'text/plain; charset=utf-8' } };
+    default:
+      return {
+        body: base64Encode(new TextEncoder().encode(links.join('\n'))),
+        headers: { ...headers, 'Content-Type': 'text/plain; charset=utf-8' }
+      };
+  }
+}
+
+// JSON string juga YAML yang valid, jadi dipakai untuk quoting
+function renderClash(config, entries) {
+  const q = JSON.stringify;
+  const lines = ['proxies:'];
+
+  for (const entry of entries) {
+    if (config.protocol === 'shadowsocks') {
+      lines.push(...clashShadowsocks(config, entry));
+      continue;
+    }
+
+    lines.push(
+      `  - name: ${q(entry.label)}`,
+      `    type: ${config.protocol}`,
+      `    server: ${q(entry.address)}`,
+      `    port: ${entry.port}`,
+      config.protocol === 'trojan' ? `    password: ${q(config.uuid)}` : `    uuid: ${q(config.uuid)}`,
+      '    network: ws',
+      `    tls: ${entry.security === 'tls'}`,
+      // Relay Trojan di worker hanya mendukung TCP
+      `    udp: ${config.protocol !== 'trojan'}`
+    );
+
+    if (entry.security === 'tls') {
+      lines.push(
+        // Clash memakai `sni` untuk trojan, `servername` untuk vless
+        `    ${config.protocol === 'trojan' ? 'sni' : 'servername'}: ${q(config.sni)}`,
+        '    client-fingerprint: chrome'
+      );
+    }
+
+    lines.push(
+      '    ws-opts:',
+      `      path: ${q(config.path)}`,
+      '      headers:',
+      `        Host: ${q(config.wsHost)}`
+    );
+  }
+
+  lines.push(
+    '',
+    'proxy-groups:',
+    `  - name: ${q('PROXY')}`,
+    '    type: select',
+    '    proxies:',
+    ...entries.map(entry => `      - ${q(entry.label)}`),
+    '      - DIRECT',
+    '',
+    'rules:',
+    '  - MATCH,PROXY',
+    ''
+  );
+
+  return lines.join('\n');
+}
+
+// SS lewat WebSocket = SIP003 v2ray-plugin, tanpa ws-opts
+function clashShadowsocks(config, entry) {
+  const q = JSON.stringify;
+  return [
+    `  - name: ${q(entry.label)}`,
+    '    type: ss',
+    `    server: ${q(entry.address)}`,
+    `    port: ${entry.port}`,
+    `    cipher: ${q(config.ssCipher)}`,
+    `    password: ${q(config.ssPassword)}`,
+    '    udp: false',
+    '    plugin: v2ray-plugin',
+    '    plugin-opts:',
+    '      mode: websocket',
+    `      tls: ${entry.security === 'tls'}`,
+    `      host: ${q(config.wsHost)}`,
+    `      path: ${q(config.path)}`,
+    '      mux: false'
+  ];
+}
+
+function renderSingBox(config, entries) {
+  const outbounds = entries.map(entry => {
+    if (config.protocol === 'shadowsocks') {
+      return {
+        type: 'shadowsocks',
+        tag: entry.label,
+        server: entry.address,
+        server_port: entry.port,
+        method: config.ssCipher,
+        password: config.ssPassword,
+        plugin: 'v2ray-plugin',
+        plugin_opts: shadowsocksPluginOptions(config, entry)
+      };
+    }
+
+    const outbound = {
+      type: config.protocol,
+      tag: entry.label,
+      server: entry.address,
+      server_port: entry.port,
+      ...(config.protocol === 'trojan' ? { password: config.uuid } : { uuid: config.uuid }),
+      transport: {
+        type: 'ws',
+        path: config.path,
+        headers: { Host: config.wsHost }
+      }
+    };
+
+    if (entry.security === 'tls') {
+      outbound.tls = {
+        enabled: true,
+        server_name: config.sni,
+        utls: { enabled: true, fingerprint: 'chrome' }
+      };
+    }
+
+    return outbound;
+  });
+
+  return {
+    outbounds: [
+      { type: 'selector', tag: 'proxy', outbounds: outbounds.map(outbound => outbound.tag) },
+      ...outbounds,
+      { type: 'direct', tag: 'direct' }
+    ]
+  };
+}
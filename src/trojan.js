@@ -0,0 +1,72 @@
+// =====================================================
+// TROJAN PROTOCOL
+// Request: hex(SHA224(password)) (56 byte) CRLF
+//          CMD ATYP DST.ADDR DST.PORT CRLF payload
+// Tidak ada response header dari server. Password akun = UUID-nya.
+// =====================================================
+
+import { parseSocksAddress } from './net.js';
+import { sha224Hex } from './sha224.js';
+
+export const TROJAN_COMMANDS = {
+  CONNECT: 1,
+  UDP_ASSOCIATE: 3
+};
+
+const HASH_LENGTH = 56;
+const CR = 0x0d;
+const LF = 0x0a;
+
+export function trojanPasswordHash(password) {
+  return sha224Hex(password);
+}
+
+function isHexDigit(byte) {
+  return (byte >= 0x30 && byte <= 0x39) || (byte >= 0x61 && byte <= 0x66);
+}
+
+// Header VLESS selalu diawali byte versi 0, jadi tidak bisa tertukar
+export function isTrojanRequest(bytes) {
+  if (bytes.byteLength < HASH_LENGTH + 2) return false;
+  if (bytes[HASH_LENGTH] !== CR || bytes[HASH_LENGTH + 1] !== LF) return false;
+  for (let i = 0; i < HASH_LENGTH; i++) {
+    if (!isHexDigit(bytes[i])) return false;
+  }
+  return true;
+}
+
+// `hash` ikut dikembalikan walaupun sisa header rusak, supaya pemanggil
+// bisa memisahkan password salah dari request yang tidak didukung
+export function parseTrojanRequest(bytes) {
+  if (!isTrojanRequest(bytes)) {
+    return { valid: false, error: 'Not a Trojan request' };
+  }
+
+  const hash = new TextDecoder().decode(bytes.subarray(0, HASH_LENGTH));
+  let offset = HASH_LENGTH + 2;
+
+  // CMD + ATYP + minimal 1 byte alamat + port + CRLF
+  if (offset + 6 > bytes.byteLength) {
+    return { valid: false, hash, error: 'Truncated request' };
+  }
+
+  const command = bytes[offset++];
+  const target = parseSocksAddress(bytes.subarray(offset));
+  if (!target.valid) {
+    return { valid: false, hash, error: target.error };
+  }
+
+  const rest = target.payload;
+  if (rest[0] !== CR || rest[1] !== LF) {
+    return { valid: false, hash, error: 'Missing CRLF after request' };
+  }
+
+  return {
+    valid: true,
+    hash,
+    command,
+    address: target.address,
+    port: target.port,
+    payload: rest.slice(2)
+  };
+}
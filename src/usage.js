@@ -0,0 +1,127 @@
+// =====================================================
+// TRAFFIC ACCOUNTING
+// Counter upload/download per UUID. Relay mencatat byte ke meter lokal,
+// lalu dikirim ke Durable Object secara batch (bukan per chunk).
+// =====================================================
+
+import { callAccountState, jsonInit, resolveStateNamespace } from './account-state.js';
+
+const FLUSH_INTERVAL = 30 * 1000;
+const FLUSH_BYTES = 8 * 1024 * 1024;
+
+let sharedMemoryStore = null;
+
+export function createMemoryUsageStore() {
+  const usage = new Map();
+
+  return {
+    async get(uuid) {
+      return usage.get(uuid) || { upload: 0, download: 0 };
+    },
+
+    async add(uuid, { upload = 0, download = 0 }) {
+      const current = await this.get(uuid);
+      const next = { upload: current.upload + upload, download: current.download + download };
+      usage.set(uuid, next);
+      return next;
+    },
+
+    async reset(uuid) {
+      usage.delete(uuid);
+    }
+  };
+}
+
+function createDurableUsageStore(namespace) {
+  return {
+    get(uuid) {
+      return callAccountState(namespace, uuid, '/usage');
+    },
+
+    add(uuid, delta) {
+      return callAccountState(namespace, uuid, '/usage', jsonInit(delta));
+    },
+
+    async reset(uuid) {
+      await callAccountState(namespace, uuid, '/usage/reset', { method: 'POST' });
+    }
+  };
+}
+
+// Sama seperti account storage: binding wajib di production,
+// fallback in-memory di luar production.
+export function getUsageStore(env) {
+  const namespace = resolveStateNamespace(env);
+  if (namespace) {
+    return createDurableUsageStore(namespace);
+  }
+
+  if (!sharedMemoryStore) {
+    console.warn('[Usage] Durable Object binding not found, using in-memory counters');
+    sharedMemoryStore = createMemoryUsageStore();
+  }
+  return sharedMemoryStore;
+}
+
+export function totalBytes(usage) {
+  return usage.upload + usage.download;
+}
+
+export function isQuotaExceeded(account, usage) {
+  return Boolean(account.quotaBytes) && totalBytes(usage) >= account.quotaBytes;
+}
+
+// Meter per koneksi. `used` adalah total akun saat handshake; setiap flush
+// memperbaruinya dengan total terbaru dari store (termasuk koneksi lain).
+export function createUsageMeter(store, uuid, { used = 0, quota = 0, onQuotaExceeded } = {}) {
+  let pendingUpload = 0;
+  let pendingDownload = 0;
+  let timer = null;
+  let exceeded = false;
+  let flushing = Promise.resolve();
+
+  function record(upload, download) {
+    pendingUpload += upload;
+    pendingDownload += download;
+
+    if (quota && !exceeded && used + pendingUpload + pendingDownload >= quota) {
+      exceeded = true;
+      flush();
+      if (onQuotaExceeded) onQuotaExceeded();
+      return;
+    }
+
+    if (pendingUpload + pendingDownload >= FLUSH_BYTES) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, FLUSH_INTERVAL);
+    }
+  }
+
+  function flush() {
+    clearTimeout(timer);
+    timer = null;
+
+    if (pendingUpload === 0 && pendingDownload === 0) return flushing;
+
+    const delta = { upload: pendingUpload, download: pendingDownload };
+    pendingUpload = 0;
+    pendingDownload = 0;
+
+    flushing = flushing.then(async () => {
+      try {
+        const total = await store.add(uuid, delta);
+        used = totalBytes(total);
+      } catch (error) {
+        console.error('[Usage] Flush failed:', error.message);
+      }
+    });
+    return flushing;
+  }
+
+  return {
+    upload: bytes => record(bytes, 0),
+    download: bytes => record(0, bytes),
+    flush
+  };
+}
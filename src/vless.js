@@ -0,0 +1,746 @@
+// =====================================================
+// VLESS PROTOCOL - BIDIRECTIONAL PROXY
+// Data plane WebSocket: VLESS, Trojan (dideteksi dari header pertama) dan
+// Shadowsocks AEAD (akun dari path). Dipanggil dari fetch di worker.js.
+// =====================================================
+
+import { connect } from 'cloudflare:sockets';
+import {
+  accountProtocol,
+  getAccountRepository,
+  isAccountExpired,
+  isAccountSuspended
+} from './accounts.js';
+import { decoyResponse } from './decoy.js';
+import { createDnsRelay, DNS_PORT, queryDoH } from './dns.js';
+import { base64UrlDecode } from './encoding.js';
+import { createMuxServer, MUX_COOL_DOMAIN } from './mux.js';
+import { parseSocksAddress } from './net.js';
+import { openOutbound, resolveRelays } from './outbound.js';
+import { checkDestination, compilePolicy } from './policy.js';
+import { clientIP, knownBanSeconds, recordAuthFailure } from './ratelimit.js';
+import { resolveProxyRoute, routeAllowsAccount } from './routing.js';
+import { getSessionStore, openSession } from './sessions.js';
+import { createDecryptStream, createEncryptStream } from './shadowsocks.js';
+import { isTrojanRequest, parseTrojanRequest, TROJAN_COMMANDS } from './trojan.js';
+import {
+  createUsageMeter,
+  getUsageStore,
+  isQuotaExceeded,
+  totalBytes
+} from './usage.js';
+
+// WebSocket close codes (4000-4999 = application specific)
+const CLOSE_CODES = {
+  PROTOCOL_ERROR: 1002,
+  UNAUTHORIZED: 4001,
+  SUSPENDED: 4002,
+  EXPIRED: 4003,
+  QUOTA_EXCEEDED: 4004,
+  TOO_MANY_CONNECTIONS: 4005,
+  DESTINATION_BLOCKED: 4006,
+  // Kredensial valid tetapi request tidak didukung (command, alamat, UDP
+  // non-DNS); tidak dihitung sebagai kegagalan autentikasi
+  UNSUPPORTED_REQUEST: 4007
+};
+
+const COMMANDS = {
+  TCP: 1,
+  UDP: 2,
+  MUX: 3
+};
+
+// Storage error saat lookup path diperlakukan seperti path tidak dikenal
+export async function findProxyRoute(env, pathname) {
+  try {
+    return await resolveProxyRoute(env, pathname, getAccountRepository(env));
+  } catch (error) {
+    console.error('Route lookup error:', error);
+    return null;
+  }
+}
+
+// route: path yang cocok saat upgrade, dicek lagi terhadap akun saat handshake
+export async function handleVLESS(request, env, route = null) {
+  // IP yang sedang diban karena handshake gagal berulang ditolak sebelum upgrade
+  const ip = clientIP(request);
+  const banned = knownBanSeconds(ip);
+  if (banned) {
+    return new Response('Too many failed handshakes', { status: 429, headers: { 'Retry-After': String(banned) } });
+  }
+
+  const pair = new WebSocketPair();
+  const [client, server] = Object.values(pair);
+  
+  server.accept();
+
+  // Early data (0-RTT): Xray/v2rayN dengan `ed=2048` mengirim paket VLESS
+  // pertama sebagai base64url di Sec-WebSocket-Protocol
+  const protocolHeader = request.headers.get('Sec-WebSocket-Protocol');
+  const earlyData = decodeEarlyData(protocolHeader);
+  
+  // Handle VLESS connection
+  const onAuthFailure = () => recordAuthFailure(env, ip);
+  vlessHandler(server, env, earlyData, { onAuthFailure, route }).catch(err => {
+    console.error('VLESS error:', err);
+    safeClose(server, 1011, err.message);
+  });
+
+  // Header protocol wajib dikembalikan apa adanya
+  const headers = protocolHeader ? { 'Sec-WebSocket-Protocol': protocolHeader } : {};
+
+  return new Response(null, {
+    status: 101,
+    webSocket: client,
+    headers
+  });
+}
+
+// Shadowsocks AEAD tidak membawa identitas akun di stream, jadi akun
+// dipilih dari path (<SS_PATH>/<uuid>) dan dicek sebelum upgrade
+export async function handleShadowsocks(request, env, uuid) {
+  const ip = clientIP(request);
+  const banned = knownBanSeconds(ip);
+  if (banned) {
+    return new Response('Too many failed handshakes', { status: 429, headers: { 'Retry-After': String(banned) } });
+  }
+
+  const account = await validateUUID(uuid, env);
+  if (!account || accountProtocol(account) !== 'shadowsocks') {
+    await recordAuthFailure(env, ip);
+    return decoyResponse(request, env);
+  }
+
+  const pair = new WebSocketPair();
+  const [client, server] = Object.values(pair);
+
+  server.accept();
+
+  const onAuthFailure = () => recordAuthFailure(env, ip);
+  vlessHandler(server, env, null, { onAuthFailure, shadowsocks: account }).catch(err => {
+    console.error('Shadowsocks error:', err);
+    safeClose(server, 1011, err.message);
+  });
+
+  return new Response(null, {
+    status: 101,
+    webSocket: client
+  });
+}
+
+function decodeEarlyData(protocolHeader) {
+  if (!protocolHeader) return null;
+
+  try {
+    const data = base64UrlDecode(protocolHeader.trim());
+    return data.byteLength > 0 ? data : null;
+  } catch (e) {
+    // Bukan early data, hanya subprotocol biasa
+    return null;
+  }
+}
+
+// onAuthFailure: dipanggil hanya saat cek kredensial gagal (UUID/password
+// tidak dikenal, atau header rusak sebelum kredensial terbaca). Penolakan
+// setelah akun diterima (command, alamat, expired/suspended/kuota) tidak.
+// shadowsocks: akun SS dari path; stream didekripsi/dienkripsi dengan key-nya
+// route: hasil resolveProxyRoute; akun di luar path-nya ditolak
+export async function vlessHandler(ws, env, earlyData = null, { onAuthFailure, shadowsocks = null, route = null } = {}) {
+  let remote = null;
+  let remoteWriter = null;
+  let dnsRelay = null;
+  let mux = null;
+  let meter = null;
+  let session = null;
+  let headerReceived = false;
+
+  // Client -> Server (Upload direction)
+  // pipeTo menunggu setiap write selesai, jadi urutan chunk terjaga dan
+  // backpressure dari socket remote menahan antrean pesan WebSocket.
+  let clientStream = makeReadableWebSocketStream(ws, earlyData);
+  if (shadowsocks) {
+    clientStream = clientStream.pipeThrough(createDecryptStream(shadowsocks.ssCipher, shadowsocks.ssPassword));
+  }
+
+  const upstream = new WritableStream({
+    async write(chunk, controller) {
+      if (remoteWriter) {
+        meter.upload(chunk.byteLength);
+        await remoteWriter.write(chunk);
+        return;
+      }
+
+      if (dnsRelay) {
+        meter.upload(chunk.byteLength);
+        await dnsRelay.write(chunk);
+        return;
+      }
+
+      if (mux) {
+        meter.upload(chunk.byteLength);
+        await mux.write(chunk);
+        return;
+      }
+
+      // Chunk pertama: header VLESS, Trojan, atau alamat SOCKS (Shadowsocks)
+      headerReceived = true;
+      let parseResult = shadowsocks
+        ? parseShadowsocksHeader(chunk, shadowsocks)
+        : isTrojanRequest(chunk)
+          ? await parseTrojanHeader(chunk, env)
+          : await parseVLESSHeader(chunk, env);
+      if (parseResult.valid && route && !routeAllowsAccount(env, route, parseResult.account)) {
+        parseResult = { valid: false, error: 'Path not allowed for account', closeCode: CLOSE_CODES.UNAUTHORIZED };
+      }
+      if (!parseResult.valid) {
+        const closeCode = parseResult.closeCode || CLOSE_CODES.PROTOCOL_ERROR;
+        safeClose(ws, closeCode, parseResult.error);
+        if (onAuthFailure && parseResult.authFailure) {
+          await onAuthFailure();
+        }
+        controller.error(new Error(`Invalid handshake: ${parseResult.error}`));
+        return;
+      }
+
+      const { protocol, version, command, uuid, address, port, payload, account } = parseResult;
+      // Response header VLESS: [version, panjang addons = 0]; Trojan tanpa header
+      const responseHeader = protocol === 'vless' ? new Uint8Array([version, 0]) : null;
+
+      // Mux.Cool: VLESS command 3, atau Trojan CONNECT ke v1.mux.cool.
+      // Shadowsocks tidak memakai mux (stream terenkripsi per koneksi).
+      const isMux = protocol !== 'shadowsocks' && (command === COMMANDS.MUX || address === MUX_COOL_DOMAIN);
+
+      // UDP hanya untuk DNS lewat DoH, tidak connect() ke alamat tujuan.
+      // Tujuan sub-stream mux dicek saat sub-stream dibuka.
+      if (command === COMMANDS.TCP && !isMux) {
+        const verdict = checkAccountDestination(env, account, address, port);
+        if (!verdict.allowed) {
+          console.warn(`[Policy] Blocked ${uuid} -> ${address}:${port}: ${verdict.reason}`);
+          safeClose(ws, CLOSE_CODES.DESTINATION_BLOCKED, 'Destination not allowed');
+          controller.error(new Error(`Destination blocked: ${verdict.reason}`));
+          return;
+        }
+      }
+
+      meter = await startUsageMeter(env, uuid, account, () => {
+        console.log(`[VLESS] Quota exceeded for ${uuid}, disconnecting`);
+        safeClose(ws, CLOSE_CODES.QUOTA_EXCEEDED, 'Quota exceeded');
+        closeRemote();
+      });
+      if (!meter) {
+        safeClose(ws, CLOSE_CODES.QUOTA_EXCEEDED, 'Quota exceeded');
+        controller.error(new Error(`Quota exceeded for ${uuid}`));
+        return;
+      }
+
+      session = await openSession(getSessionStore(env), uuid, account.maxConnections);
+      if (!session) {
+        safeClose(ws, CLOSE_CODES.TOO_MANY_CONNECTIONS, 'Too many connections');
+        controller.error(new Error(`Connection limit reached for ${uuid}`));
+        return;
+      }
+      meter.upload(payload.byteLength);
+
+      if (isMux) {
+        console.log(`[Mux] ${uuid} opened a multiplexed connection`);
+        let header = responseHeader;
+        mux = createMuxServer({
+          send(frame) {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            meter.download(frame.byteLength);
+            ws.send(header ? concatBytes(header, frame) : frame);
+            header = null;
+          },
+          openTcp: (target) => openMuxStream(env, account, uuid, target),
+          queryUdp: (target, packet) => queryMuxDatagram(env, target, packet),
+          maxSessions: Number(env.MUX_MAX_SESSIONS) || undefined
+        });
+
+        if (payload.byteLength > 0) {
+          await mux.write(payload);
+        }
+        return;
+      }
+
+      if (command === COMMANDS.UDP) {
+        if (port !== DNS_PORT) {
+          safeClose(ws, CLOSE_CODES.UNSUPPORTED_REQUEST, 'UDP is only supported for DNS (port 53)');
+          controller.error(new Error(`UDP to port ${port} rejected`));
+          return;
+        }
+
+        console.log(`[VLESS] DNS over UDP via DoH (${address}:${port})`);
+        let header = responseHeader;
+        dnsRelay = createDnsRelay(env, (frame) => {
+          if (ws.readyState !== WebSocket.OPEN) return;
+          meter.download(frame.byteLength);
+          ws.send(header ? concatBytes(header, frame) : frame);
+          header = null;
+        });
+
+        if (payload.byteLength > 0) {
+          await dnsRelay.write(payload);
+        }
+        return;
+      }
+
+      console.log(`[VLESS] Connecting to ${address}:${port}`);
+
+      let outbound;
+      try {
+        outbound = await openOutbound({
+          address,
+          port,
+          payload,
+          relays: resolveRelays(env, account, port),
+          timeout: env.CONNECT_TIMEOUT_MS,
+          connect
+        });
+      } catch (error) {
+        safeClose(ws, 1011, `Connection failed: ${error.message}`);
+        throw error;
+      }
+
+      remote = outbound.socket;
+      remoteWriter = outbound.writer;
+
+      if (outbound.relayIndex >= 0) {
+        const { hostname, port: relayPort } = outbound.target;
+        console.log(`[VLESS] ${address}:${port} reached via fallback relay #${outbound.relayIndex + 1} (${hostname}:${relayPort})`);
+      }
+
+      // Start Server -> Client (Download direction)
+      const downstream = shadowsocks
+        ? outbound.readable.pipeThrough(createEncryptStream(shadowsocks.ssCipher, shadowsocks.ssPassword))
+        : outbound.readable;
+      remoteToWebSocket(downstream, ws, responseHeader, meter).finally(finish);
+    },
+
+    async close() {
+      // Half-close: client selesai mengirim, teruskan FIN ke remote.
+      // Arah download tetap berjalan sampai remote menutup koneksi.
+      if (remoteWriter) {
+        await remoteWriter.close().catch(() => {});
+      }
+      // Koneksi mux tertutup: semua sub-stream ikut berakhir
+      if (mux) {
+        mux.close();
+      }
+    },
+
+    abort() {
+      closeRemote();
+    }
+  });
+
+  // Akhir koneksi: kirim sisa counter trafik dan lepas slot sesi
+  function finish() {
+    if (meter) meter.flush();
+    if (session) session.release();
+  }
+
+  function closeRemote() {
+    if (mux) mux.close();
+    if (!remote) return;
+    try {
+      remote.close();
+    } catch (e) {}
+  }
+
+  try {
+    await clientStream.pipeTo(upstream);
+  } catch (error) {
+    console.error('[VLESS]', error.message);
+    closeRemote();
+    safeClose(ws, 1011, error.message);
+    // Tag AEAD tidak cocok sebelum chunk pertama terbaca = password salah
+    if (shadowsocks && !headerReceived && onAuthFailure) {
+      await onAuthFailure();
+    }
+  } finally {
+    finish();
+  }
+}
+
+// Sub-stream TCP mux: policy dan fallback relay sama dengan koneksi biasa
+async function openMuxStream(env, account, uuid, { address, port, data }) {
+  const verdict = checkAccountDestination(env, account, address, port);
+  if (!verdict.allowed) {
+    console.warn(`[Policy] Blocked ${uuid} -> ${address}:${port}: ${verdict.reason}`);
+    throw new Error('Destination not allowed');
+  }
+
+  const outbound = await openOutbound({
+    address,
+    port,
+    payload: data,
+    relays: resolveRelays(env, account, port),
+    timeout: env.CONNECT_TIMEOUT_MS,
+    connect
+  });
+
+  return {
+    writer: outbound.writer,
+    readable: outbound.readable,
+    close() {
+      try {
+        outbound.socket.close();
+      } catch (e) {}
+    }
+  };
+}
+
+// Paket UDP mux/XUDP: hanya DNS (DoH). Query gagal = paket hilang.
+async function queryMuxDatagram(env, { port }, packet) {
+  if (port !== DNS_PORT) {
+    throw new Error(`UDP to port ${port} rejected (DNS only)`);
+  }
+
+  try {
+    return await queryDoH(packet, env);
+  } catch (error) {
+    console.error('[DNS] Query failed:', error.message);
+    return null;
+  }
+}
+
+// Daftar policy yang rusak (env atau akun) menolak koneksi, bukan meloloskan
+function checkAccountDestination(env, account, address, port) {
+  try {
+    return checkDestination(compilePolicy(env, account), address, port);
+  } catch (error) {
+    return { allowed: false, reason: `invalid policy configuration (${error.message})` };
+  }
+}
+
+// Meter trafik untuk satu koneksi. null jika kuota akun sudah habis.
+async function startUsageMeter(env, uuid, account, onQuotaExceeded) {
+  const store = getUsageStore(env);
+  let used = 0;
+
+  if (account.quotaBytes) {
+    const usage = await store.get(uuid);
+    if (isQuotaExceeded(account, usage)) return null;
+    used = totalBytes(usage);
+  }
+
+  return createUsageMeter(store, uuid, { used, quota: account.quotaBytes, onQuotaExceeded });
+}
+
+// Bungkus WebSocket server menjadi ReadableStream. Early data (jika ada)
+// menjadi chunk pertama.
+function makeReadableWebSocketStream(ws, earlyData) {
+  let cancelled = false;
+
+  return new ReadableStream({
+    start(controller) {
+      if (earlyData) {
+        controller.enqueue(earlyData);
+      }
+
+      ws.addEventListener('message', (event) => {
+        if (cancelled) return;
+        controller.enqueue(toUint8Array(event.data));
+      });
+
+      ws.addEventListener('close', () => {
+        if (cancelled) return;
+        try {
+          controller.close();
+        } catch (e) {}
+      });
+
+      ws.addEventListener('error', (err) => {
+        controller.error(err);
+      });
+    },
+
+    cancel() {
+      cancelled = true;
+      safeClose(ws);
+    }
+  });
+}
+
+// Server -> Client (Download direction)
+// responseHeader dikirim sekali, digabung dengan chunk pertama dari remote
+async function remoteToWebSocket(readable, ws, responseHeader, meter) {
+  let header = responseHeader;
+
+  try {
+    await readable.pipeTo(new WritableStream({
+      write(chunk) {
+        if (ws.readyState !== WebSocket.OPEN) {
+          throw new Error('WebSocket is not open');
+        }
+        meter.download(chunk.byteLength);
+        ws.send(header ? concatBytes(header, chunk) : chunk);
+        header = null;
+      }
+    }));
+  } catch (error) {
+    console.error('[VLESS] Remote read error:', error.message);
+  } finally {
+    safeClose(ws);
+  }
+}
+
+// Parse VLESS Protocol Header
+//
+// Request: version(1) | uuid(16) | addons len(1) | addons(N) | command(1)
+//          | port(2, BE) | address type(1) | address | payload
+export async function parseVLESSHeader(buffer, env) {
+  try {
+    // version + uuid + addons len + command (mux berhenti di sini)
+    if (buffer.byteLength < 19) {
+      return { valid: false, error: 'Buffer too short', authFailure: true };
+    }
+
+    let offset = 0;
+
+    // Version
+    const version = buffer[offset++];
+    if (version !== 0) {
+      return { valid: false, error: `Invalid version: ${version}`, authFailure: true };
+    }
+
+    // UUID (16 bytes)
+    const uuidBytes = buffer.slice(offset, offset + 16);
+    const uuid = bytesToUUID(uuidBytes);
+    offset += 16;
+
+    // Additional info (protobuf addons, mis. flow) - tidak dipakai, dilewati
+    const addLen = buffer[offset++];
+    if (offset + addLen + 1 > buffer.byteLength) {
+      return { valid: false, error: 'Truncated addons', authFailure: true };
+    }
+    offset += addLen;
+
+    // Validate UUID; akun Trojan tidak bisa dipakai lewat VLESS
+    const account = await validateUUID(uuid, env);
+    if (!account || accountProtocol(account) !== 'vless') {
+      return { valid: false, error: 'Unauthorized UUID', closeCode: CLOSE_CODES.UNAUTHORIZED, authFailure: true };
+    }
+
+    const denied = checkAccountAccess(account);
+    if (denied) return denied;
+
+    console.log(`[VLESS] Valid UUID: ${uuid}`);
+
+    // Command
+    const command = buffer[offset++];
+    if (command === COMMANDS.MUX) {
+      // Mux.Cool: tanpa port/alamat, sisa buffer sudah berupa frame mux
+      return {
+        valid: true,
+        protocol: 'vless',
+        version,
+        command,
+        uuid,
+        account,
+        address: MUX_COOL_DOMAIN,
+        port: 0,
+        payload: buffer.slice(offset)
+      };
+    }
+    if (command !== COMMANDS.TCP && command !== COMMANDS.UDP) {
+      return unsupportedRequest(`Unsupported command: ${command}`);
+    }
+
+    // Port + address type + minimal 1 byte alamat
+    if (offset + 4 > buffer.byteLength) {
+      return unsupportedRequest('Truncated address');
+    }
+
+    // Port (big-endian)
+    const port = (buffer[offset] << 8) | buffer[offset + 1];
+    offset += 2;
+
+    // Address type
+    const addrType = buffer[offset++];
+    let address = '';
+
+    if (addrType === 1) {
+      // IPv4
+      if (offset + 4 > buffer.byteLength) {
+        return unsupportedRequest('Truncated address');
+      }
+      address = `${buffer[offset]}.${buffer[offset+1]}.${buffer[offset+2]}.${buffer[offset+3]}`;
+      offset += 4;
+    } else if (addrType === 2) {
+      // Domain
+      const domainLen = buffer[offset++];
+      if (!domainLen || offset + domainLen > buffer.byteLength) {
+        return unsupportedRequest('Truncated address');
+      }
+      const domainBytes = buffer.slice(offset, offset + domainLen);
+      address = new TextDecoder().decode(domainBytes);
+      offset += domainLen;
+    } else if (addrType === 3) {
+      // IPv6
+      if (offset + 16 > buffer.byteLength) {
+        return unsupportedRequest('Truncated address');
+      }
+      const ipv6 = [];
+      for (let i = 0; i < 16; i += 2) {
+        ipv6.push(((buffer[offset+i] << 8) | buffer[offset+i+1]).toString(16));
+      }
+      address = ipv6.join(':');
+      offset += 16;
+    } else {
+      return unsupportedRequest(`Invalid address type: ${addrType}`);
+    }
+
+    // Remaining payload
+    const payload = buffer.slice(offset);
+
+    return {
+      valid: true,
+      protocol: 'vless',
+      version,
+      command,
+      uuid,
+      account,
+      address,
+      port,
+      payload
+    };
+
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+// Header Trojan: autentikasi lewat hash password (= UUID akun) ke akun
+// yang sama. Command/alamat dipetakan ke bentuk hasil parseVLESSHeader.
+async function parseTrojanHeader(buffer, env) {
+  const request = parseTrojanRequest(buffer);
+  if (!request.hash) {
+    return { valid: false, error: request.error, authFailure: true };
+  }
+
+  let account = null;
+  try {
+    account = await getAccountRepository(env).authorizeTrojan(request.hash);
+  } catch (error) {
+    console.error('Trojan validation error:', error);
+  }
+  if (!account) {
+    return { valid: false, error: 'Unauthorized password', closeCode: CLOSE_CODES.UNAUTHORIZED, authFailure: true };
+  }
+
+  const denied = checkAccountAccess(account);
+  if (denied) return denied;
+
+  // Password sudah cocok: alamat rusak atau command lain bukan auth failure
+  if (!request.valid) {
+    return unsupportedRequest(request.error);
+  }
+
+  // UDP ASSOCIATE memakai framing per paket yang berbeda; belum didukung
+  if (request.command !== TROJAN_COMMANDS.CONNECT) {
+    return unsupportedRequest(`Unsupported Trojan command: ${request.command}`);
+  }
+
+  console.log(`[Trojan] Valid account: ${account.uuid}`);
+
+  return {
+    valid: true,
+    protocol: 'trojan',
+    command: COMMANDS.TCP,
+    uuid: account.uuid,
+    account,
+    address: request.address,
+    port: request.port,
+    payload: request.payload
+  };
+}
+
+// Chunk plaintext pertama Shadowsocks: alamat tujuan format SOCKS5 lalu
+// payload. Akun sudah diautentikasi lewat path + key AEAD.
+function parseShadowsocksHeader(buffer, account) {
+  const denied = checkAccountAccess(account);
+  if (denied) return denied;
+
+  const target = parseSocksAddress(buffer);
+  if (!target.valid) {
+    return unsupportedRequest(target.error);
+  }
+
+  return {
+    valid: true,
+    protocol: 'shadowsocks',
+    command: COMMANDS.TCP,
+    uuid: account.uuid,
+    account,
+    address: target.address,
+    port: target.port,
+    payload: target.payload
+  };
+}
+
+// Request ditolak setelah kredensial diterima: bukan kegagalan autentikasi
+function unsupportedRequest(error) {
+  return { valid: false, error, closeCode: CLOSE_CODES.UNSUPPORTED_REQUEST };
+}
+
+// Hasil gagal untuk akun suspended/expired, null jika boleh dipakai
+function checkAccountAccess(account) {
+  if (isAccountSuspended(account)) {
+    return { valid: false, error: 'Account suspended', closeCode: CLOSE_CODES.SUSPENDED };
+  }
+
+  if (isAccountExpired(account)) {
+    return { valid: false, error: 'Account expired', closeCode: CLOSE_CODES.EXPIRED };
+  }
+
+  return null;
+}
+
+// UUID validation (async check against account storage)
+// Mengembalikan data akun, atau null jika UUID tidak terdaftar
+export async function validateUUID(uuid, env) {
+  try {
+    return await getAccountRepository(env).authorize(uuid);
+  } catch (error) {
+    console.error('UUID validation error:', error);
+    return null;
+  }
+}
+
+// Convert bytes to UUID string
+function bytesToUUID(bytes) {
+  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+  return [
+    hex.substring(0, 8),
+    hex.substring(8, 12),
+    hex.substring(12, 16),
+    hex.substring(16, 20),
+    hex.substring(20, 32)
+  ].join('-');
+}
+
+// WebSocket message data (ArrayBuffer atau string) ke Uint8Array
+function toUint8Array(data) {
+  if (typeof data === 'string') return new TextEncoder().encode(data);
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  return new Uint8Array(data);
+}
+
+function concatBytes(a, b) {
+  const out = new Uint8Array(a.byteLength + b.byteLength);
+  out.set(a, 0);
+  out.set(b, a.byteLength);
+  return out;
+}
+
+// Safe WebSocket close
+function safeClose(ws, code = 1000, reason = '') {
+  try {
+    if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
+      ws.close(code, reason);
+    }
+  } catch (e) {
+    console.error('Error closing WebSocket:', e);
+  }
+}
@@ -0,0 +1,197 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+import worker from '../worker.js';
+
+const SECRET = 'test-admin-secret';
+
+function setup() {
+  return { VLESS_ACCOUNTS: createMemoryBackend(), ADMIN_SECRET: SECRET };
+}
+
+function api(env, method, path) {
+  const request = new Request(`https://worker.example.com${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${SECRET}` }
+  });
+  return worker.fetch(request, env, { waitUntil() {} });
+}
+
+describe('account actions', () => {
+  it('suspends and resumes a legacy account that no longer passes the schema', async () => {
+    const env = setup();
+    const repository = getAccountRepository(env);
+    const uuid = crypto.randomUUID();
+    // Port 1234 sudah tidak ada di daftar port yang diizinkan
+    await repository.save({ uuid, server: 'example.com', port: '1234' });
+
+    const suspended = await api(env, 'POST', `/api/accounts/${uuid}/suspend`);
+    expect(suspended.status).toBe(200);
+    expect(await repository.get(uuid)).toMatchObject({ port: '1234', suspended: true });
+
+    const resumed = await api(env, 'POST', `/api/accounts/${uuid}/resume`);
+    expect(resumed.status).toBe(200);
+    expect(await repository.get(uuid)).toMatchObject({ port: '1234', suspended: false });
+  });
+
+  it('returns 404 for an unknown account', async () => {
+    const response = await api(setup(), 'POST', `/api/accounts/${crypto.randomUUID()}/suspend`);
+    expect(response.status).toBe(404);
+  });
+});
+
+describe('account routing', () => {
+  it('returns the 404 JSON for malformed percent-encoding in the UUID segment', async () => {
+    const response = await api(setup(), 'GET', '/api/accounts/%E0%A4%A');
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({ success: false, error: 'Not found' });
+  });
+});
+
+describe('unauthenticated API requests', () => {
+  const anonymous = (env, method, path, body) => worker.fetch(new Request(`https://worker.example.com${path}`, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  }), env, { waitUntil() {} });
+
+  // Respons harus sama persis dengan decoy untuk path yang bukan API
+  async function expectDecoy(response, env) {
+    const decoy = await anonymous(env, 'GET', '/not-an-api');
+    expect(response.status).toBe(decoy.status);
+    expect(response.headers.get('Content-Type')).toBe(decoy.headers.get('Content-Type'));
+    expect(response.headers.get('Set-Cookie')).toBeNull();
+    expect(await response.text()).toBe(await decoy.text());
+  }
+
+  it('get the decoy for unknown /api paths', async () => {
+    const env = setup();
+    await expectDecoy(await anonymous(env, 'GET', '/api/foo'), env);
+  });
+
+  it('get the decoy on real API routes and logout', async () => {
+    const env = setup();
+    await expectDecoy(await anonymous(env, 'GET', '/api/accounts'), env);
+    await expectDecoy(await anonymous(env, 'POST', '/api/create', { server: 'example.com' }), env);
+    await expectDecoy(await anonymous(env, 'POST', '/api/logout'), env);
+  });
+
+  it('get the decoy for failed or malformed logins', async () => {
+    const env = setup();
+    await expectDecoy(await anonymous(env, 'POST', '/api/login', { password: 'guess' }), env);
+    await expectDecoy(await anonymous(env, 'POST', '/api/login', 'not-an-object'), env);
+    await expectDecoy(await anonymous(env, 'GET', '/api/login'), env);
+  });
+
+  it('do not learn whether ADMIN_SECRET is configured from /api/login', async () => {
+    const env = { VLESS_ACCOUNTS: createMemoryBackend(), ENVIRONMENT: 'production' };
+    await expectDecoy(await anonymous(env, 'POST', '/api/login', { password: 'guess' }), env);
+  });
+
+  it('only answer preflight for allowed origins', async () => {
+    const env = { ...setup(), CORS_ORIGINS: 'https://admin.example.com' };
+    const preflight = origin => worker.fetch(new Request('https://worker.example.com/api/accounts', {
+      method: 'OPTIONS',
+      headers: { Origin: origin }
+    }), env, { waitUntil() {} });
+
+    const allowed = await preflight('https://admin.example.com');
+    expect(allowed.status).toBe(204);
+    expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('https://admin.example.com');
+
+    await expectDecoy(await preflight('https://evil.example.com'), env);
+  });
+
+  it('still log in with the right password', async () => {
+    const response = await anonymous(setup(), 'POST', '/api/login', { password: SECRET });
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({ success: true });
+    expect(response.headers.get('Set-Cookie')).toMatch(/HttpOnly/i);
+  });
+});
+
+describe('proxied decoy', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  function stubUpstream() {
+    const upstream = vi.fn(async () => new Response('<h1>blog</h1>', {
+      headers: { 'Content-Type': 'text/html', 'Set-Cookie': 'upstream=1' }
+    }));
+    vi.stubGlobal('fetch', upstream);
+    return upstream;
+  }
+
+  it('keeps the DECOY_URL path and query', async () => {
+    const upstream = stubUpstream();
+    const env = { ...setup(), DECOY_URL: 'https://blog.example.org/site/?lang=en&ref=cf' };
+    const response = await worker.fetch(new Request('https://worker.example.com/posts/1?ref=x'), env, { waitUntil() {} });
+
+    expect(await response.text()).toBe('<h1>blog</h1>');
+    expect(response.headers.get('Set-Cookie')).toBeNull();
+    const [url, init] = upstream.mock.calls[0];
+    expect(url).toBe('https://blog.example.org/site/posts/1?lang=en&ref=x');
+    expect(init.headers.get('Host')).toBe('blog.example.org');
+  });
+
+  it('does not forward credentials or API bodies upstream', async () => {
+    const upstream = stubUpstream();
+    const env = { ...setup(), DECOY_URL: 'https://blog.example.org' };
+    const response = await worker.fetch(new Request('https://worker.example.com/api/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Cookie: 'session=abc' },
+      body: JSON.stringify({ password: 'guess' })
+    }), env, { waitUntil() {} });
+
+    expect(await response.text()).toBe('<h1>blog</h1>');
+    const [url, init] = upstream.mock.calls[0];
+    expect(url).toBe('https://blog.example.org/api/login');
+    expect(init.body ?? null).toBeNull();
+    expect(init.headers.get('Cookie')).toBeNull();
+  });
+});
+
+describe('admin auth without ADMIN_SECRET', () => {
+  const list = env => worker.fetch(new Request('https://worker.example.com/api/accounts'), env, { waitUntil() {} });
+
+  it('fails closed by default, even outside production', async () => {
+    for (const ENVIRONMENT of [undefined, 'development']) {
+      const response = await list({ VLESS_ACCOUNTS: createMemoryBackend(), ENVIRONMENT });
+      expect(response.status).toBe(404);
+    }
+  });
+
+  it('opens only with ALLOW_INSECURE_DEV_AUTH outside production', async () => {
+    const dev = await list({ VLESS_ACCOUNTS: createMemoryBackend(), ALLOW_INSECURE_DEV_AUTH: 'true' });
+    expect(dev.status).toBe(200);
+
+    const production = await list({ VLESS_ACCOUNTS: createMemoryBackend(), ALLOW_INSECURE_DEV_AUTH: 'true', ENVIRONMENT: 'production' });
+    expect(production.status).toBe(404);
+  });
+});
+
+describe('legacy POST /api/delete', () => {
+  const remove = (env, body) => worker.fetch(new Request('https://worker.example.com/api/delete', {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${SECRET}`, 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body)
+  }), env, { waitUntil() {} });
+
+  it('deletes an account by UUID', async () => {
+    const env = setup();
+    const uuid = crypto.randomUUID();
+    await getAccountRepository(env).save({ uuid, server: 'example.com' });
+
+    expect((await remove(env, { uuid })).status).toBe(200);
+    expect(await getAccountRepository(env).get(uuid)).toBeNull();
+  });
+
+  it('refuses index keys and malformed input with 400, unknown UUIDs with 404', async () => {
+    const env = setup();
+    await env.VLESS_ACCOUNTS.put('sub:token', 'x');
+
+    expect((await remove(env, { uuid: 'sub:token' })).status).toBe(400);
+    expect(await env.VLESS_ACCOUNTS.get('sub:token')).toBe('x');
+    expect((await remove(env, { uuid: 42 })).status).toBe(400);
+    expect((await remove(env, 'not json')).status).toBe(400);
+    expect((await remove(env, { uuid: crypto.randomUUID() })).status).toBe(404);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { accountSummary, createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+
+async function setup(count) {
+  const backend = createMemoryBackend();
+  const repository = getAccountRepository({ VLESS_ACCOUNTS: backend, DEFAULT_PATH: '/ws' });
+  for (let i = 0; i < count; i++) {
+    // subToken, trojan dan path menambah key index di namespace yang sama
+    await repository.save({
+      uuid: crypto.randomUUID(),
+      server: 'example.com',
+      protocol: i % 2 ? 'trojan' : 'vless',
+      subToken: `token-${i}`,
+      path: `/p${i}`
+    });
+  }
+  return { backend, repository };
+}
+
+async function listAll(repository, limit) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const page = await repository.listPage({ cursor, limit });
+    pages.push(page.accounts.length);
+    cursor = page.cursor;
+  } while (cursor);
+  return pages;
+}
+
+describe('account listing', () => {
+  it('returns no cursor when the last page is exactly full', async () => {
+    const { repository } = await setup(3);
+    const page = await repository.listPage({ limit: 3 });
+
+    expect(page.accounts).toHaveLength(3);
+    expect(page.cursor).toBeNull();
+  });
+
+  it('pages through accounts only, never yielding an empty page', async () => {
+    const { repository } = await setup(7);
+    expect(await listAll(repository, 3)).toEqual([3, 3, 1]);
+    expect(await listAll(repository, 7)).toEqual([7]);
+  });
+
+  it('lists only under the account prefix', async () => {
+    const { backend, repository } = await setup(2);
+    const prefixes = [];
+    const list = backend.list.bind(backend);
+    backend.list = (options) => {
+      prefixes.push(options.prefix);
+      return list(options);
+    };
+
+    await repository.listPage();
+    expect(prefixes).toEqual(['acct:']);
+  });
+
+  it('reads legacy bare-UUID keys and migrates them to acct:<uuid>', async () => {
+    const backend = createMemoryBackend();
+    const repository = getAccountRepository({ VLESS_ACCOUNTS: backend });
+    const account = { uuid: crypto.randomUUID(), server: 'example.com' };
+    await backend.put(account.uuid, JSON.stringify(account), { metadata: accountSummary(account) });
+
+    expect(await repository.get(account.uuid)).toEqual(account);
+    expect((await repository.listPage()).accounts).toHaveLength(0);
+
+    expect(await repository.migrateLegacyAccounts()).toBe(1);
+    expect(await backend.get(account.uuid)).toBeNull();
+    expect((await repository.listPage()).accounts).toMatchObject([{ uuid: account.uuid }]);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+import { vlessHandler } from '../src/vless.js';
+import { FakeWebSocket, trojanRequest, vlessRequest } from './helpers/fakes.js';
+
+async function setup(account = {}) {
+  const env = { VLESS_ACCOUNTS: createMemoryBackend() };
+  const uuid = crypto.randomUUID();
+  await getAccountRepository(env).save({ uuid, server: 'example.com', ...account });
+  return { env, uuid };
+}
+
+async function handshake(env, bytes) {
+  const ws = new FakeWebSocket();
+  const onAuthFailure = vi.fn();
+  const done = vlessHandler(ws, env, null, { onAuthFailure });
+  ws.receive(bytes);
+  await done;
+  return { ws, onAuthFailure };
+}
+
+describe('VLESS auth failure accounting', () => {
+  it('counts an unknown UUID', async () => {
+    const { env } = await setup();
+    const { ws, onAuthFailure } = await handshake(env, vlessRequest(crypto.randomUUID()));
+
+    expect(ws.closed.code).toBe(4001);
+    expect(onAuthFailure).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not count an unsupported command from a valid account', async () => {
+    const { env, uuid } = await setup();
+    const { ws, onAuthFailure } = await handshake(env, vlessRequest(uuid, { command: 9 }));
+
+    expect(ws.closed).toEqual({ code: 4007, reason: 'Unsupported command: 9' });
+    expect(onAuthFailure).not.toHaveBeenCalled();
+  });
+
+  it('does not count UDP to a non-DNS port from a valid account', async () => {
+    const { env, uuid } = await setup();
+    const { ws, onAuthFailure } = await handshake(env, vlessRequest(uuid, { command: 2, port: 443 }));
+
+    expect(ws.closed.code).toBe(4007);
+    expect(onAuthFailure).not.toHaveBeenCalled();
+  });
+});
+
+describe('Trojan auth failure accounting', () => {
+  it('counts a wrong password', async () => {
+    const { env } = await setup({ protocol: 'trojan' });
+    const { ws, onAuthFailure } = await handshake(env, trojanRequest(crypto.randomUUID()));
+
+    expect(ws.closed.code).toBe(4001);
+    expect(onAuthFailure).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not count UDP_ASSOCIATE from a valid account', async () => {
+    const { env, uuid } = await setup({ protocol: 'trojan' });
+    const { ws, onAuthFailure } = await handshake(env, trojanRequest(uuid, { command: 3 }));
+
+    expect(ws.closed).toEqual({ code: 4007, reason: 'Unsupported Trojan command: 3' });
+    expect(onAuthFailure).not.toHaveBeenCalled();
+  });
+
+  it('does not count a bad address from a valid account', async () => {
+    const { env, uuid } = await setup({ protocol: 'trojan' });
+    const bytes = trojanRequest(uuid);
+    bytes[59] = 9; // address type tidak dikenal
+    const { ws, onAuthFailure } = await handshake(env, bytes);
+
+    expect(ws.closed.code).toBe(4007);
+    expect(onAuthFailure).not.toHaveBeenCalled();
+  });
+});
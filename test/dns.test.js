@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+import { createDnsRelay, encodeUDPFrame, splitUDPFrames } from '../src/dns.js';
+import { vlessHandler } from '../src/vless.js';
+import { concatBytes, FakeWebSocket, vlessRequest } from './helpers/fakes.js';
+
+const query = (...bytes) => new Uint8Array(bytes);
+
+// DoH palsu: jawaban = [0xff, ...query]; query yang diawali 0xee gagal
+async function fakeDoH(url, init) {
+  const body = new Uint8Array(init.body);
+  if (body[0] === 0xee) return new Response('upstream error', { status: 502 });
+  return new Response(concatBytes(new Uint8Array([0xff]), body));
+}
+
+function relay() {
+  const sent = [];
+  const dns = createDnsRelay({}, frame => sent.push(frame), fakeDoH);
+  return { dns, sent };
+}
+
+describe('splitUDPFrames', () => {
+  it('splits several frames and keeps the incomplete tail', () => {
+    const buffer = concatBytes(encodeUDPFrame(query(1, 2)), encodeUDPFrame(query(3)), new Uint8Array([0, 5, 9]));
+    const { frames, rest } = splitUDPFrames(buffer);
+
+    expect(frames.map(frame => [...frame])).toEqual([[1, 2], [3]]);
+    expect([...rest]).toEqual([0, 5, 9]);
+  });
+});
+
+describe('createDnsRelay', () => {
+  it('answers two queries packed into one message', async () => {
+    const { dns, sent } = relay();
+    await dns.write(concatBytes(encodeUDPFrame(query(1, 2)), encodeUDPFrame(query(3, 4))));
+
+    expect(sent).toEqual([encodeUDPFrame(query(0xff, 1, 2)), encodeUDPFrame(query(0xff, 3, 4))]);
+  });
+
+  it('reassembles a query split across messages', async () => {
+    const { dns, sent } = relay();
+    const frame = encodeUDPFrame(query(5, 6, 7));
+
+    await dns.write(frame.subarray(0, 1));
+    await dns.write(frame.subarray(1, 3));
+    expect(sent).toHaveLength(0);
+
+    await dns.write(frame.subarray(3));
+    expect(sent).toEqual([encodeUDPFrame(query(0xff, 5, 6, 7))]);
+  });
+
+  it('drops a failed DoH query and still answers the others', async () => {
+    const { dns, sent } = relay();
+    await dns.write(concatBytes(
+      encodeUDPFrame(query(1)),
+      encodeUDPFrame(query(0xee, 2)),
+      encodeUDPFrame(query(3))
+    ));
+
+    expect(sent).toEqual([encodeUDPFrame(query(0xff, 1)), encodeUDPFrame(query(0xff, 3))]);
+  });
+});
+
+describe('VLESS UDP command', () => {
+  it('rejects UDP to a port other than 53', async () => {
+    const env = { VLESS_ACCOUNTS: createMemoryBackend() };
+    const uuid = crypto.randomUUID();
+    await getAccountRepository(env).save({ uuid, server: 'example.com' });
+
+    const ws = new FakeWebSocket();
+    const done = vlessHandler(ws, env);
+    ws.receive(vlessRequest(uuid, { host: 'time.example.com', port: 123, command: 2 }));
+    await done;
+
+    expect(ws.closed).toEqual({ code: 4007, reason: 'UDP is only supported for DNS (port 53)' });
+    expect(ws.sent).toHaveLength(0);
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+import { getUsageStore } from '../src/usage.js';
+import worker from '../worker.js';
+
+const SECRET = 'test-admin-secret';
+
+function setup() {
+  const backend = createMemoryBackend();
+  const puts = [];
+  const put = backend.put.bind(backend);
+  backend.put = async (key, value, options = {}) => {
+    puts.push({ key, options });
+    return put(key, value, options);
+  };
+  return { env: { VLESS_ACCOUNTS: backend, ADMIN_SECRET: SECRET }, puts };
+}
+
+const expired = (uuid, extra = {}) => ({
+  uuid,
+  server: 'example.com',
+  protocol: 'trojan',
+  path: '/edge',
+  subToken: `sub-${uuid}`,
+  expiresAt: new Date(Date.now() - 1000).toISOString(),
+  ...extra
+});
+
+describe('account expiry', () => {
+  it('stores accounts and index keys without a KV expiration', async () => {
+    const { env, puts } = setup();
+    const uuid = crypto.randomUUID();
+    await getAccountRepository(env).save(expired(uuid));
+
+    // acct:, sub:, trojan: dan path:
+    expect(puts.map(({ key }) => key.split(':')[0]).sort()).toEqual(['acct', 'path', 'sub', 'trojan']);
+    for (const { options } of puts) expect(options.expiration).toBeUndefined();
+  });
+
+  it('keeps expired accounts visible as expired until the sweep', async () => {
+    const { env } = setup();
+    const uuid = crypto.randomUUID();
+    await getAccountRepository(env).save(expired(uuid));
+
+    const response = await worker.fetch(new Request(`https://worker.example.com/api/accounts/${uuid}`, {
+      headers: { Authorization: `Bearer ${SECRET}` }
+    }), env, { waitUntil() {} });
+    expect(response.status).toBe(200);
+    expect((await response.json()).account).toMatchObject({ uuid, status: 'expired' });
+  });
+
+  it('resets usage for accounts removed by the cron sweep', async () => {
+    const { env } = setup();
+    const repository = getAccountRepository(env);
+    const [gone, kept] = [crypto.randomUUID(), crypto.randomUUID()];
+    await repository.save(expired(gone));
+    await repository.save({ uuid: kept, server: 'example.com' });
+    await getUsageStore(env).add(gone, { upload: 10, download: 20 });
+    await getUsageStore(env).add(kept, { upload: 1, download: 2 });
+
+    await worker.scheduled({}, env, { waitUntil() {} });
+
+    expect(await repository.get(gone)).toBeNull();
+    expect(await repository.get(kept)).not.toBeNull();
+    expect(await getUsageStore(env).get(gone)).toEqual({ upload: 0, download: 0 });
+    expect(await getUsageStore(env).get(kept)).toEqual({ upload: 1, download: 2 });
+  });
+
+  it('resets usage when an account is deleted through the API', async () => {
+    const { env } = setup();
+    const uuid = crypto.randomUUID();
+    await getAccountRepository(env).save({ uuid, server: 'example.com' });
+    await getUsageStore(env).add(uuid, { upload: 5, download: 5 });
+
+    const response = await worker.fetch(new Request(`https://worker.example.com/api/accounts/${uuid}`, {
+      method: 'DELETE',
+      headers: { Authorization: `Bearer ${SECRET}` }
+    }), env, { waitUntil() {} });
+    expect(response.status).toBe(200);
+    expect(await getUsageStore(env).get(uuid)).toEqual({ upload: 0, download: 0 });
+  });
+});
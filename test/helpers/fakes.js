@@ -0,0 +1,109 @@
+// WebSocket server palsu, socket echo dan builder header VLESS untuk test
+
+import { sha224Hex } from '../../src/sha224.js';
+
+// Node 20 belum punya global WebSocket
+globalThis.WebSocket ??= { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+export class FakeWebSocket extends EventTarget {
+  constructor() {
+    super();
+    this.readyState = WebSocket.OPEN;
+    this.sent = [];
+    this.closed = null;
+  }
+
+  send(data) {
+    this.sent.push(new Uint8Array(data));
+  }
+
+  close(code, reason) {
+    if (this.closed) return;
+    this.readyState = WebSocket.CLOSED;
+    this.closed = { code, reason };
+  }
+
+  // Pesan biner dari client
+  receive(bytes) {
+    const event = new Event('message');
+    event.data = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    this.dispatchEvent(event);
+  }
+
+  // Client menutup koneksi
+  disconnect() {
+    this.dispatchEvent(new Event('close'));
+  }
+}
+
+// Socket connect() palsu: yang ditulis client kembali sebagai download.
+// Buffer besar supaya echo tidak tertahan backpressure.
+export function createEchoSocket(target) {
+  const echo = new TransformStream({}, { highWaterMark: 1 << 24 }, { highWaterMark: 1 << 24 });
+  const writer = echo.writable.getWriter();
+  const socket = {
+    target,
+    received: [],
+    writerClosed: false,
+    closed: false,
+    opened: Promise.resolve(),
+    readable: echo.readable,
+    writable: new WritableStream({
+      async write(chunk) {
+        socket.received.push(new Uint8Array(chunk));
+        await writer.write(chunk);
+      },
+      close() {
+        socket.writerClosed = true;
+      }
+    }),
+    close() {
+      socket.closed = true;
+    },
+    // Remote menutup arah download
+    end() {
+      return writer.close();
+    },
+    push(chunk) {
+      return writer.write(chunk);
+    }
+  };
+  return socket;
+}
+
+export function uuidBytes(uuid) {
+  return Uint8Array.from(uuid.replace(/-/g, '').match(/../g).map(hex => parseInt(hex, 16)));
+}
+
+// Header VLESS: version | uuid | addons | command | port | domain | payload
+export function vlessRequest(uuid, { host = 'example.com', port = 80, command = 1, addons = [], payload = [] } = {}) {
+  const domain = new TextEncoder().encode(host);
+  return new Uint8Array([
+    0, ...uuidBytes(uuid), addons.length, ...addons, command,
+    port >> 8, port & 0xff, 2, domain.length, ...domain, ...payload
+  ]);
+}
+
+// Header Trojan: hex(sha224(password)) CRLF | command | SOCKS address | port CRLF | payload
+export function trojanRequest(password, { host = 'example.com', port = 80, command = 1, payload = [] } = {}) {
+  const encoder = new TextEncoder();
+  const domain = encoder.encode(host);
+  return new Uint8Array([
+    ...encoder.encode(sha224Hex(password)), 0x0d, 0x0a,
+    command, 3, domain.length, ...domain, port >> 8, port & 0xff, 0x0d, 0x0a, ...payload
+  ]);
+}
+
+export function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.byteLength, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.byteLength;
+  }
+  return result;
+}
+
+export function tick(ms = 10) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
@@ -0,0 +1,14 @@
+// Pengganti modul `cloudflare:sockets` untuk test di Node. Test memasang
+// implementasi connect() lewat setConnect().
+
+let connectImpl = () => {
+  throw new Error('connect() is not configured in this test');
+};
+
+export function connect(target) {
+  return connectImpl(target);
+}
+
+export function setConnect(fn) {
+  connectImpl = fn;
+}
@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest';
+import { resolveEntries } from '../src/links.js';
+import { validateAccountInput } from '../src/schema.js';
+
+const ENV = { ENTRY_ADDRESSES: 'global.example.com', ENTRY_TLS_PORTS: '443', ENTRY_PLAIN_PORTS: '80' };
+
+describe('per-account entry addresses', () => {
+  it('are validated by the schema and replace ENTRY_ADDRESSES in links', () => {
+    const account = validateAccountInput({ server: 'example.com', entryAddresses: 'cdn-a.example.com, 104.16.0.1' }, ENV);
+    expect(account.entryAddresses).toEqual(['cdn-a.example.com', '104.16.0.1']);
+
+    const addresses = resolveEntries({ uuid: crypto.randomUUID(), ...account }, ENV).map(entry => entry.address);
+    expect(addresses).not.toContain('global.example.com');
+    expect(new Set(addresses)).toEqual(new Set(['example.com', 'cdn-a.example.com', '104.16.0.1']));
+  });
+
+  it('fall back to ENTRY_ADDRESSES when empty', () => {
+    const account = validateAccountInput({ server: 'example.com' }, ENV);
+    expect(account.entryAddresses).toEqual([]);
+
+    const addresses = resolveEntries({ uuid: crypto.randomUUID(), ...account }, ENV).map(entry => entry.address);
+    expect(addresses).toContain('global.example.com');
+  });
+
+  it('reject invalid hosts', () => {
+    expect(() => validateAccountInput({ server: 'example.com', entryAddresses: ['ok.example.com', 'bad host'] }, ENV))
+      .toThrow(expect.objectContaining({ fields: { entryAddresses: 'Invalid hostname or IP address: bad host' } }));
+  });
+});
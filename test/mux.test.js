@@ -0,0 +1,212 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  createMuxServer, encodeMuxFrame, MUX_NETWORK, MUX_OPTION, MUX_STATUS, parseMuxFrames
+} from '../src/mux.js';
+import { concatBytes, tick } from './helpers/fakes.js';
+
+const bytes = (...values) => new Uint8Array(values);
+
+// Frame client -> server: metadata dengan target (New / Keep XUDP)
+function clientFrame({ id, status, option = 0, network = null, address = null, port = 0, data = null }) {
+  return encodeMuxFrame({ id, status, option, network, address, port, data });
+}
+
+// Sub-stream TCP palsu: upload dicatat, download dikontrol test
+function fakeTcp() {
+  const streams = [];
+  const openTcp = vi.fn(async ({ address, port, data }) => {
+    const download = new TransformStream();
+    const stream = {
+      address,
+      port,
+      uploaded: [data],
+      closed: false,
+      writer: new WritableStream({ write: chunk => { stream.uploaded.push(chunk); } }).getWriter(),
+      readable: download.readable,
+      remote: download.writable.getWriter(),
+      close() {
+        stream.closed = true;
+      }
+    };
+    streams.push(stream);
+    return stream;
+  });
+  return { openTcp, streams };
+}
+
+function setup({ queryUdp = vi.fn(async () => null), maxSessions } = {}) {
+  const sent = [];
+  const tcp = fakeTcp();
+  const server = createMuxServer({ send: frame => sent.push(frame), openTcp: tcp.openTcp, queryUdp, maxSessions });
+  // Frame yang dikirim server, sudah di-parse
+  const replies = () => parseMuxFrames(concatBytes(...sent)).frames;
+  return { server, sent, replies, queryUdp, ...tcp };
+}
+
+describe('mux frame codec', () => {
+  it('round-trips a New TCP frame with data', () => {
+    const frame = clientFrame({
+      id: 7, status: MUX_STATUS.NEW, network: MUX_NETWORK.TCP, address: 'example.com', port: 443, data: bytes(1, 2, 3)
+    });
+    const { frames, rest } = parseMuxFrames(frame);
+
+    expect(rest.byteLength).toBe(0);
+    expect(frames).toHaveLength(1);
+    expect(frames[0]).toMatchObject({
+      id: 7, status: MUX_STATUS.NEW, option: MUX_OPTION.DATA, network: MUX_NETWORK.TCP, address: 'example.com', port: 443
+    });
+    expect([...frames[0].data]).toEqual([1, 2, 3]);
+  });
+
+  it('round-trips IPv4 and IPv6 targets', () => {
+    for (const address of ['1.2.3.4', '2606:4700:0:0:0:0:0:1111']) {
+      const frame = clientFrame({ id: 1, status: MUX_STATUS.KEEP, network: MUX_NETWORK.UDP, address, port: 53, data: bytes(9) });
+      expect(parseMuxFrames(frame).frames[0]).toMatchObject({ address, port: 53, network: MUX_NETWORK.UDP });
+    }
+  });
+
+  it('keeps partial frames as rest until they are complete', () => {
+    const first = clientFrame({ id: 1, status: MUX_STATUS.KEEP, data: bytes(1, 2) });
+    const second = clientFrame({ id: 2, status: MUX_STATUS.KEEP, data: bytes(3, 4, 5) });
+    const buffer = concatBytes(first, second);
+
+    for (let split = 0; split <= buffer.byteLength; split++) {
+      const head = parseMuxFrames(buffer.subarray(0, split));
+      const tail = parseMuxFrames(concatBytes(head.rest, buffer.subarray(split)));
+      const frames = [...head.frames, ...tail.frames];
+      expect(frames.map(frame => [frame.id, [...frame.data]])).toEqual([[1, [1, 2]], [2, [3, 4, 5]]]);
+      expect(tail.rest.byteLength).toBe(0);
+    }
+  });
+
+  it('rejects metadata lengths outside 4..512', () => {
+    expect(() => parseMuxFrames(bytes(0, 3, 0, 1, 2))).toThrow('Invalid mux metadata length: 3');
+    expect(() => parseMuxFrames(bytes(0x02, 0x01))).toThrow('Invalid mux metadata length: 513');
+  });
+
+  it('rejects a New frame with a truncated target', () => {
+    expect(() => parseMuxFrames(bytes(0, 5, 0, 1, MUX_STATUS.NEW, 0, MUX_NETWORK.TCP))).toThrow('Truncated mux target');
+  });
+
+  it('rejects an unknown address type', () => {
+    expect(() => parseMuxFrames(bytes(0, 8, 0, 1, MUX_STATUS.NEW, 0, MUX_NETWORK.TCP, 0, 80, 9)))
+      .toThrow('Invalid mux address type: 9');
+  });
+});
+
+describe('createMuxServer', () => {
+  it('opens a TCP session on New, forwards Keep data and relays the download', async () => {
+    const { server, streams, replies } = setup();
+    await server.write(clientFrame({
+      id: 1, status: MUX_STATUS.NEW, network: MUX_NETWORK.TCP, address: 'example.com', port: 80, data: bytes(1)
+    }));
+    await server.write(clientFrame({ id: 1, status: MUX_STATUS.KEEP, data: bytes(2) }));
+    await tick();
+
+    expect(streams).toHaveLength(1);
+    expect(streams[0]).toMatchObject({ address: 'example.com', port: 80 });
+    expect(streams[0].uploaded.map(chunk => [...chunk])).toEqual([[1], [2]]);
+
+    await streams[0].remote.write(bytes(7, 8));
+    await tick();
+    expect(replies()).toMatchObject([{ id: 1, status: MUX_STATUS.KEEP }]);
+    expect([...replies()[0].data]).toEqual([7, 8]);
+  });
+
+  it('accepts frames split across writes', async () => {
+    const { server, streams } = setup();
+    const frame = clientFrame({
+      id: 3, status: MUX_STATUS.NEW, network: MUX_NETWORK.TCP, address: 'example.com', port: 80, data: bytes(5)
+    });
+    for (const byte of frame) await server.write(bytes(byte));
+    await tick();
+
+    expect(streams).toHaveLength(1);
+    expect(server.size).toBe(1);
+  });
+
+  it('closes the session on End from the client', async () => {
+    const { server, streams } = setup();
+    await server.write(clientFrame({ id: 1, status: MUX_STATUS.NEW, network: MUX_NETWORK.TCP, address: 'example.com', port: 80 }));
+    await tick();
+    await server.write(clientFrame({ id: 1, status: MUX_STATUS.END }));
+    await tick();
+
+    expect(streams[0].closed).toBe(true);
+    expect(server.size).toBe(0);
+  });
+
+  it('sends End when the remote finishes, and End with error when opening fails', async () => {
+    const { server, streams, replies, openTcp } = setup();
+    await server.write(clientFrame({ id: 1, status: MUX_STATUS.NEW, network: MUX_NETWORK.TCP, address: 'example.com', port: 80 }));
+    await tick();
+    await streams[0].remote.close();
+    await tick();
+    expect(replies().at(-1)).toMatchObject({ id: 1, status: MUX_STATUS.END, option: 0 });
+
+    openTcp.mockRejectedValueOnce(new Error('Destination not allowed'));
+    await server.write(clientFrame({ id: 2, status: MUX_STATUS.NEW, network: MUX_NETWORK.TCP, address: 'blocked.example', port: 25 }));
+    await tick();
+    expect(replies().at(-1)).toMatchObject({ id: 2, status: MUX_STATUS.END, option: MUX_OPTION.ERROR });
+  });
+
+  it('ignores KeepAlive and answers Keep for an unknown session with End', async () => {
+    const { server, sent, replies } = setup();
+    await server.write(clientFrame({ id: 0, status: MUX_STATUS.KEEP_ALIVE }));
+    expect(sent).toHaveLength(0);
+
+    await server.write(clientFrame({ id: 9, status: MUX_STATUS.KEEP, data: bytes(1) }));
+    expect(replies()).toMatchObject([{ id: 9, status: MUX_STATUS.END }]);
+  });
+
+  it('throws on an unknown status', async () => {
+    const { server } = setup();
+    await expect(server.write(bytes(0, 4, 0, 1, 9, 0))).rejects.toThrow('Unknown mux status: 9');
+  });
+
+  it('refuses sessions beyond maxSessions', async () => {
+    const { server, replies } = setup({ maxSessions: 1 });
+    for (const id of [1, 2]) {
+      await server.write(clientFrame({ id, status: MUX_STATUS.NEW, network: MUX_NETWORK.TCP, address: 'example.com', port: 80 }));
+    }
+    await tick();
+
+    expect(server.size).toBe(1);
+    expect(replies()).toMatchObject([{ id: 2, status: MUX_STATUS.END, option: MUX_OPTION.ERROR }]);
+  });
+
+  it('XUDP: queries per-packet targets and tags replies with the source address', async () => {
+    const queryUdp = vi.fn(async (target, packet) => concatBytes(bytes(0xff), packet));
+    const { server, replies } = setup({ queryUdp });
+    await server.write(clientFrame({
+      id: 4, status: MUX_STATUS.NEW, network: MUX_NETWORK.UDP, address: '1.1.1.1', port: 53, data: bytes(1)
+    }));
+    await server.write(clientFrame({
+      id: 4, status: MUX_STATUS.KEEP, network: MUX_NETWORK.UDP, address: '8.8.8.8', port: 53, data: bytes(2)
+    }));
+    await tick();
+
+    expect(queryUdp.mock.calls.map(([target]) => target)).toEqual([
+      { address: '1.1.1.1', port: 53 },
+      { address: '8.8.8.8', port: 53 }
+    ]);
+    expect(replies().map(frame => [frame.address, frame.port, [...frame.data]])).toEqual([
+      ['1.1.1.1', 53, [0xff, 1]],
+      ['8.8.8.8', 53, [0xff, 2]]
+    ]);
+  });
+
+  it('XUDP: ends the session with error when the target is rejected', async () => {
+    const queryUdp = vi.fn(async () => {
+      throw new Error('UDP to port 123 rejected (DNS only)');
+    });
+    const { server, replies } = setup({ queryUdp });
+    await server.write(clientFrame({
+      id: 5, status: MUX_STATUS.NEW, network: MUX_NETWORK.UDP, address: 'time.example.com', port: 123, data: bytes(1)
+    }));
+    await tick();
+
+    expect(replies()).toMatchObject([{ id: 5, status: MUX_STATUS.END, option: MUX_OPTION.ERROR }]);
+    expect(server.size).toBe(0);
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, expect, it } from 'vitest';
+import { openOutbound } from '../src/outbound.js';
+import { createEchoSocket } from './helpers/fakes.js';
+
+// connect() palsu: target pada `failing` gagal saat opened
+function fakeConnect(failing = []) {
+  const sockets = [];
+  const connect = (target) => {
+    const socket = createEchoSocket(target);
+    if (failing.includes(target.hostname)) {
+      socket.opened = Promise.reject(new Error('proxy request failed'));
+      socket.opened.catch(() => {});
+    }
+    sockets.push(socket);
+    return socket;
+  };
+  return { connect, sockets };
+}
+
+const payload = new Uint8Array([1, 2, 3]);
+const relays = [{ hostname: 'relay.example.com', port: 443 }];
+
+describe('openOutbound', () => {
+  it('returns the origin without waiting for a response', async () => {
+    // Origin yang baru membalas setelah chunk berikutnya dari client
+    const received = [];
+    const silent = {
+      opened: Promise.resolve(),
+      readable: new ReadableStream(),
+      writable: new WritableStream({ write: chunk => { received.push(chunk); } }),
+      close() {}
+    };
+    const connect = () => silent;
+    const outbound = await openOutbound({ address: 'origin.example.com', port: 443, payload, relays, timeout: 60000, connect });
+
+    expect(outbound.relayIndex).toBe(-1);
+    expect(outbound.socket).toBe(silent);
+    expect(received).toEqual([payload]);
+  });
+
+  it('falls back to a relay only when the origin fails to open, sending the payload once', async () => {
+    const { connect, sockets } = fakeConnect(['origin.example.com']);
+    const outbound = await openOutbound({ address: 'origin.example.com', port: 443, payload, relays, connect });
+
+    expect(outbound.relayIndex).toBe(0);
+    expect(outbound.target).toEqual(relays[0]);
+    expect(sockets[0].received).toEqual([]);
+    expect(sockets[0].closed).toBe(true);
+    expect(sockets[1].received).toEqual([payload]);
+  });
+
+  it('throws the last error when every target fails', async () => {
+    const { connect } = fakeConnect(['origin.example.com', 'relay.example.com']);
+    await expect(openOutbound({ address: 'origin.example.com', port: 443, payload, relays, connect }))
+      .rejects.toThrow('proxy request failed');
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+
+async function indexKeys(backend) {
+  return (await backend.list({ prefix: 'path:' })).keys.map(key => key.name).sort();
+}
+
+function setup() {
+  const backend = createMemoryBackend();
+  return { backend, repository: getAccountRepository({ VLESS_ACCOUNTS: backend, DEFAULT_PATH: '/ws' }) };
+}
+
+describe('WebSocket path index', () => {
+  it('writes one key per account and skips the default path', async () => {
+    const { backend, repository } = setup();
+    const a = { uuid: crypto.randomUUID(), path: '/ws' };
+    const b = { uuid: crypto.randomUUID(), path: '/edge' };
+    const c = { uuid: crypto.randomUUID(), path: '/edge' };
+    for (const account of [a, b, c]) await repository.save(account);
+
+    expect(await indexKeys(backend)).toEqual([`path:/edge:${b.uuid}`, `path:/edge:${c.uuid}`].sort());
+    expect(await repository.hasPath('/edge/')).toBe(true);
+    expect(await repository.hasPath('/other')).toBe(false);
+  });
+
+  it('moves the key when the path changes and drops it on remove', async () => {
+    const { backend, repository } = setup();
+    const account = { uuid: crypto.randomUUID(), path: '/one' };
+    await repository.save(account);
+    await repository.save({ ...account, path: '/two' });
+    expect(await indexKeys(backend)).toEqual([`path:/two:${account.uuid}`]);
+
+    await repository.remove(account.uuid);
+    expect(await indexKeys(backend)).toEqual([]);
+  });
+
+  it('rebuild restores missing keys and deletes stale and legacy ones', async () => {
+    const { backend, repository } = setup();
+    const account = { uuid: crypto.randomUUID(), path: '/edge' };
+    await repository.save(account);
+    await backend.delete(`path:/edge:${account.uuid}`);
+    await backend.put('path:/legacy', JSON.stringify([crypto.randomUUID()]));
+    await backend.put(`path:/gone:${crypto.randomUUID()}`, 'x');
+
+    expect(await repository.rebuildPathIndex()).toBe(1);
+    expect(await indexKeys(backend)).toEqual([`path:/edge:${account.uuid}`]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { checkDestination, compilePolicy } from '../src/policy.js';
+
+const defaults = compilePolicy({});
+
+describe('destination policy', () => {
+  it.each([
+    ['127.0.0.1', 443],
+    ['10.1.2.3', 443],
+    ['172.16.0.1', 443],
+    ['192.168.1.1', 443],
+    ['100.64.0.1', 443],
+    ['169.254.169.254', 80],
+    ['0.0.0.0', 443],
+    ['224.0.0.1', 443],
+    ['::1', 443],
+    ['::', 443],
+    ['fd00::1', 443],
+    ['fe80::1', 443],
+    ['ff02::1', 443],
+    ['::ffff:127.0.0.1', 443],
+    ['::7f00:1', 443],
+    ['64:ff9b::7f00:1', 443],
+    ['64:ff9b:0:0:0:0:a9fe:a9fe', 80],
+    ['64:ff9b:1::a00:1', 443],
+    ['localhost', 443],
+    ['metadata.google.internal', 80],
+    ['printer.local', 631]
+  ])('denies %s:%i', (address, port) => {
+    expect(checkDestination(defaults, address, port).allowed).toBe(false);
+  });
+
+  it('denies port 25 by default', () => {
+    expect(checkDestination(defaults, 'smtp.example.com', 25)).toEqual({ allowed: false, reason: 'port 25 is denied' });
+  });
+
+  it.each([
+    ['example.com', 443],
+    ['1.1.1.1', 443],
+    ['2606:4700:4700::1111', 443]
+  ])('allows %s:%i', (address, port) => {
+    expect(checkDestination(defaults, address, port)).toEqual({ allowed: true });
+  });
+
+  it('applies deny and allow lists', () => {
+    const policy = compilePolicy({ DENY_DOMAINS: 'blocked.example', ALLOW_PORTS: '443,8000-8100' });
+    expect(checkDestination(policy, 'www.blocked.example', 443).allowed).toBe(false);
+    expect(checkDestination(policy, 'example.com', 80).allowed).toBe(false);
+    expect(checkDestination(policy, 'example.com', 8080).allowed).toBe(true);
+  });
+
+  it('lets ALLOW_CIDRS open a private range explicitly', () => {
+    const policy = compilePolicy({ ALLOW_CIDRS: '10.0.0.0/8' });
+    expect(checkDestination(policy, '10.1.2.3', 443).allowed).toBe(true);
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { validateAccountInput } from '../src/schema.js';
+
+describe('per-account relays (proxyIPs)', () => {
+  const validate = proxyIPs => validateAccountInput({ server: 'example.com', proxyIPs });
+
+  it('accept host, host:port and [ipv6]:port entries', () => {
+    expect(validate('relay.example.com, 1.2.3.4:8443, [2606:4700::1]:443').proxyIPs)
+      .toEqual(['relay.example.com', '1.2.3.4:8443', '[2606:4700::1]:443']);
+  });
+
+  it.each([
+    ['a host with spaces', ['bad host']],
+    ['an out-of-range port', ['relay.example.com:70000']],
+    ['a non-string entry', [{ host: 'relay.example.com' }]],
+    ['too many entries', Array.from({ length: 9 }, (_, i) => `relay${i}.example.com`)]
+  ])('reject %s', (_, proxyIPs) => {
+    expect(() => validate(proxyIPs)).toThrow(expect.objectContaining({ fields: { proxyIPs: expect.any(String) } }));
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, expect, it } from 'vitest';
+import { md5 } from '../src/md5.js';
+import { createDecryptStream, createEncryptStream, evpBytesToKey } from '../src/shadowsocks.js';
+import { concatBytes } from './helpers/fakes.js';
+
+const hex = (text) => Uint8Array.from(text.match(/../g).map(byte => parseInt(byte, 16)));
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+// Jalankan TransformStream atas beberapa chunk, hasilnya digabung
+async function run(stream, chunks) {
+  const writer = stream.writable.getWriter();
+  const output = [];
+  const reading = (async () => {
+    for await (const chunk of stream.readable) output.push(chunk);
+  })();
+  const writing = (async () => {
+    for (const chunk of chunks) await writer.write(chunk);
+    await writer.close();
+  })();
+  await Promise.all([reading, writing]);
+  return concatBytes(...output);
+}
+
+function split(bytes, size) {
+  const chunks = [];
+  for (let offset = 0; offset < bytes.byteLength; offset += size) chunks.push(bytes.subarray(offset, offset + size));
+  return chunks;
+}
+
+describe('md5', () => {
+  // RFC 1321, A.5 test suite
+  it.each([
+    ['', 'd41d8cd98f00b204e9800998ecf8427e'],
+    ['a', '0cc175b9c0f1b6a831c399e269772661'],
+    ['abc', '900150983cd24fb0d6963f7d28e17f72'],
+    ['message digest', 'f96b697d7cb7938d525a2f31aaf161d0'],
+    ['abcdefghijklmnopqrstuvwxyz', 'c3fcd3d76192e4007dfb496cca67e13b'],
+    ['ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789', 'd174ab98d277d9f5a5611c2c9f419d9f'],
+    ['1234567890'.repeat(8), '57edf4a22be3c955ac49da2e2107b67a']
+  ])('md5(%j)', (input, digest) => {
+    expect(toHex(md5(new TextEncoder().encode(input)))).toBe(digest);
+  });
+});
+
+describe('evpBytesToKey', () => {
+  // `openssl enc -aes-256-cbc -k 'barfoo!' -P -md md5 -nosalt`
+  it('matches OpenSSL EVP_BytesToKey (MD5, no salt)', () => {
+    const key = 'b3adc47839e047eb228870526dc8fc30b347287ffca3045dcea06b3fdf090acb';
+    expect(toHex(evpBytesToKey('barfoo!', 32))).toBe(key);
+    expect(toHex(evpBytesToKey('barfoo!', 16))).toBe(key.slice(0, 32));
+  });
+});
+
+describe('Shadowsocks AEAD stream', () => {
+  // aes-256-gcm, password "barfoo!", salt 00..1f. Dihitung terpisah dengan
+  // node:crypto (OpenSSL) menurut SIP004: HKDF-SHA1 "ss-subkey", nonce
+  // little-endian 0 untuk length, 1 untuk payload.
+  const VECTOR = {
+    method: 'aes-256-gcm',
+    password: 'barfoo!',
+    plaintext: hex('030b6578616d706c652e636f6d0050474554202f20485454502f312e310d0a0d0a'),
+    ciphertext: hex(
+      '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f'
+      + 'fe16102b180de73bfa6965427f76affe29df'
+      + 'dd9bc51b0d8a83b231613d79afc6f71ad0f73193d418f2c5c3e3fa273e24ae82313bc58241348277f8f12b35e70f8ac742'
+    )
+  };
+
+  it('decrypts the known-answer vector, also when split into small chunks', async () => {
+    for (const size of [VECTOR.ciphertext.byteLength, 7, 1]) {
+      const plaintext = await run(createDecryptStream(VECTOR.method, VECTOR.password), split(VECTOR.ciphertext, size));
+      expect(toHex(plaintext)).toBe(toHex(VECTOR.plaintext));
+    }
+  });
+
+  it('round-trips data larger than one AEAD chunk', async () => {
+    for (const method of ['aes-128-gcm', 'aes-256-gcm']) {
+      const data = crypto.getRandomValues(new Uint8Array(40000));
+      const ciphertext = await run(createEncryptStream(method, 'round-trip-pass'), split(data, 5000));
+      const plaintext = await run(createDecryptStream(method, 'round-trip-pass'), split(ciphertext, 999));
+      expect(toHex(plaintext)).toBe(toHex(data));
+    }
+  });
+
+  it('rejects a tampered tag', async () => {
+    const tampered = VECTOR.ciphertext.slice();
+    tampered[tampered.byteLength - 1] ^= 0x01;
+    await expect(run(createDecryptStream(VECTOR.method, VECTOR.password), [tampered])).rejects.toThrow();
+  });
+
+  it('rejects the wrong password', async () => {
+    await expect(run(createDecryptStream(VECTOR.method, 'wrong-password'), [VECTOR.ciphertext])).rejects.toThrow();
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryBackend } from '../src/accounts.js';
+import worker from '../worker.js';
+
+function subscription(path) {
+  const env = { VLESS_ACCOUNTS: createMemoryBackend() };
+  return worker.fetch(new Request(`https://worker.example.com${path}`), env, { waitUntil() {} });
+}
+
+describe('subscription route', () => {
+  it('returns 404 for malformed percent-encoding in the token', async () => {
+    const response = await subscription('/sub/%E0%A4%A');
+    expect(response.status).toBe(404);
+  });
+
+  it('returns 404 for an unknown token', async () => {
+    const response = await subscription('/sub/unknown-token');
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,99 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+import { vlessHandler } from '../src/vless.js';
+import { concatBytes, createEchoSocket, FakeWebSocket, tick, vlessRequest } from './helpers/fakes.js';
+import { setConnect } from './helpers/sockets.js';
+
+// Benchmark kecil: cukup untuk melihat regresi besar, tidak membebani CI
+const CHUNK_SIZE = 32 * 1024;
+const CHUNK_COUNT = 128;
+
+// Isi chunk = nomor urutnya, supaya urutan bisa dicek setelah echo
+function numberedChunk(index) {
+  const chunk = new Uint8Array(CHUNK_SIZE);
+  new DataView(chunk.buffer).setUint32(0, index);
+  chunk.fill(index & 0xff, 4);
+  return chunk;
+}
+
+async function setup() {
+  const env = { VLESS_ACCOUNTS: createMemoryBackend() };
+  const uuid = crypto.randomUUID();
+  await getAccountRepository(env).save({ uuid, server: 'example.com' });
+
+  const sockets = [];
+  setConnect((target) => {
+    const socket = createEchoSocket(target);
+    sockets.push(socket);
+    return socket;
+  });
+
+  const ws = new FakeWebSocket();
+  const done = vlessHandler(ws, env);
+  ws.receive(vlessRequest(uuid, { host: 'echo.example.com', port: 7 }));
+  await tick();
+  return { ws, done, sockets };
+}
+
+// Download tanpa response header VLESS [0, 0]
+function downloaded(ws) {
+  return concatBytes(...ws.sent).subarray(2);
+}
+
+function downloadedBytes(ws) {
+  return ws.sent.reduce((total, chunk) => total + chunk.byteLength, 0) - 2;
+}
+
+// toEqual per elemen terlalu lambat untuk buffer MiB
+function sameBytes(actual, expected) {
+  return Buffer.from(actual).equals(Buffer.from(expected));
+}
+
+afterEach(() => setConnect(() => {
+  throw new Error('connect() is not configured in this test');
+}));
+
+describe('VLESS relay throughput', () => {
+  it('echoes every chunk back in order', async () => {
+    const { ws, sockets } = await setup();
+    const chunks = Array.from({ length: CHUNK_COUNT }, (_, index) => numberedChunk(index));
+    const expected = concatBytes(...chunks);
+
+    const started = performance.now();
+    for (const chunk of chunks) ws.receive(chunk);
+    while (!ws.closed && downloadedBytes(ws) < expected.byteLength && performance.now() - started < 4000) {
+      await tick(1);
+    }
+    const seconds = (performance.now() - started) / 1000;
+    console.log(`[Bench] ${(expected.byteLength / 1024 / 1024 / seconds).toFixed(1)} MiB/s through the echo relay`);
+
+    expect(sockets).toHaveLength(1);
+    expect(sameBytes(concatBytes(...sockets[0].received), expected)).toBe(true);
+    expect(sameBytes(downloaded(ws), expected)).toBe(true);
+    expect(ws.closed).toBeNull();
+  });
+
+  it('half-closes: client close ends the upload while the download keeps flowing', async () => {
+    const { ws, done, sockets } = await setup();
+    ws.receive(numberedChunk(0));
+    await tick();
+
+    ws.disconnect();
+    await tick();
+    const [socket] = sockets;
+    expect(socket.writerClosed).toBe(true);
+    expect(socket.closed).toBe(false);
+
+    // Remote masih mengirim sisa respons setelah FIN dari client
+    await socket.push(numberedChunk(1));
+    await tick();
+    expect(sameBytes(downloaded(ws), concatBytes(numberedChunk(0), numberedChunk(1)))).toBe(true);
+    expect(ws.closed).toBeNull();
+
+    // Remote selesai: baru WebSocket ditutup
+    await socket.end();
+    await done;
+    await tick();
+    expect(ws.closed).not.toBeNull();
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+import { sha224, sha224Hex } from '../src/sha224.js';
+import { isTrojanRequest, parseTrojanRequest, TROJAN_COMMANDS, trojanPasswordHash } from '../src/trojan.js';
+import { vlessHandler } from '../src/vless.js';
+import { FakeWebSocket, trojanRequest } from './helpers/fakes.js';
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+
+describe('sha224', () => {
+  // FIPS 180-4 / NIST CSRC example values
+  it.each([
+    ['', 'd14a028c2a3a2bc9476102bb288234c415a2b01f828ea62ac5b3e42f'],
+    ['abc', '23097d223405d8228642a477bda255b32aadbce4bda0b3f7e36c9da7'],
+    ['abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq', '75388b16512776cc5dba5da1fd890150b0c6455cb4f58b1952522525']
+  ])('sha224Hex(%j)', (input, digest) => {
+    expect(sha224Hex(input)).toBe(digest);
+  });
+
+  it('hashes one million "a"', () => {
+    expect(toHex(sha224(new Uint8Array(1000000).fill(0x61)))).toBe('20794655980c91d8bbb4c1ea97618a4bf03f42581948b2ee4ee7ad67');
+  });
+});
+
+describe('parseTrojanRequest', () => {
+  const password = 'b831381d-6324-4d53-ad4f-8cda48b30811';
+
+  it('parses a good header', () => {
+    const result = parseTrojanRequest(trojanRequest(password, { host: 'example.com', port: 443, payload: [1, 2] }));
+
+    expect(result).toMatchObject({
+      valid: true,
+      hash: trojanPasswordHash(password),
+      command: TROJAN_COMMANDS.CONNECT,
+      address: 'example.com',
+      port: 443
+    });
+    expect([...result.payload]).toEqual([1, 2]);
+  });
+
+  it('is not a Trojan request without CRLF after the hash', () => {
+    const bytes = trojanRequest(password);
+    bytes[56] = 0x20;
+    expect(isTrojanRequest(bytes)).toBe(false);
+    expect(parseTrojanRequest(bytes)).toEqual({ valid: false, error: 'Not a Trojan request' });
+  });
+
+  it('rejects a missing CRLF after the request, keeping the hash', () => {
+    const bytes = trojanRequest(password, { host: 'example.com', port: 80 });
+    bytes[bytes.byteLength - 2] = 0x00;
+    expect(parseTrojanRequest(bytes)).toMatchObject({
+      valid: false,
+      hash: trojanPasswordHash(password),
+      error: 'Missing CRLF after request'
+    });
+  });
+
+  it('rejects a truncated header', () => {
+    const bytes = trojanRequest(password).subarray(0, 60);
+    expect(parseTrojanRequest(bytes)).toMatchObject({ valid: false, error: 'Truncated request' });
+  });
+});
+
+describe('Trojan handshake', () => {
+  it('closes with 4001 for a wrong password', async () => {
+    const env = { VLESS_ACCOUNTS: createMemoryBackend() };
+    await getAccountRepository(env).save({ uuid: crypto.randomUUID(), server: 'example.com', protocol: 'trojan' });
+
+    const ws = new FakeWebSocket();
+    const done = vlessHandler(ws, env);
+    ws.receive(trojanRequest('not-the-password'));
+    await done;
+
+    expect(ws.closed).toEqual({ code: 4001, reason: 'Unauthorized password' });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+import { parseVLESSHeader, validateUUID, vlessHandler } from '../src/vless.js';
+import { FakeWebSocket, vlessRequest } from './helpers/fakes.js';
+
+async function setup() {
+  const backend = createMemoryBackend();
+  const env = { VLESS_ACCOUNTS: backend };
+  const uuid = crypto.randomUUID();
+  await getAccountRepository(env).save({ uuid, server: 'example.com' });
+  return { backend, env, uuid };
+}
+
+// Handshake satu pesan lalu tunggu handler selesai
+async function handshake(env, bytes) {
+  const ws = new FakeWebSocket();
+  const done = vlessHandler(ws, env);
+  ws.receive(bytes);
+  await done;
+  return ws;
+}
+
+describe('parseVLESSHeader', () => {
+  it('accepts a known UUID', async () => {
+    const { env, uuid } = await setup();
+    const result = await parseVLESSHeader(vlessRequest(uuid, { host: 'example.com', port: 443, payload: [1, 2] }), env);
+
+    expect(result).toMatchObject({
+      valid: true,
+      protocol: 'vless',
+      uuid,
+      address: 'example.com',
+      port: 443,
+      command: 1
+    });
+    expect(result.account.uuid).toBe(uuid);
+    expect([...result.payload]).toEqual([1, 2]);
+  });
+
+  it('rejects an unknown UUID with 4001', async () => {
+    const { env } = await setup();
+    const result = await parseVLESSHeader(vlessRequest(crypto.randomUUID()), env);
+    expect(result).toMatchObject({ valid: false, closeCode: 4001 });
+  });
+
+  it('rejects a truncated header', async () => {
+    const { env, uuid } = await setup();
+    const result = await parseVLESSHeader(vlessRequest(uuid).subarray(0, 10), env);
+    expect(result).toMatchObject({ valid: false, error: 'Buffer too short' });
+  });
+});
+
+describe('validateUUID', () => {
+  it('returns the stored account', async () => {
+    const { env, uuid } = await setup();
+    expect(await validateUUID(uuid, env)).toMatchObject({ uuid, server: 'example.com' });
+  });
+
+  it('caches unknown UUIDs so the second lookup skips storage', async () => {
+    const { backend, env } = await setup();
+    const get = vi.spyOn(backend, 'get');
+    const unknown = crypto.randomUUID();
+
+    expect(await validateUUID(unknown, env)).toBeNull();
+    expect(await validateUUID(unknown, env)).toBeNull();
+    expect(get.mock.calls.filter(([key]) => key === unknown)).toHaveLength(1);
+  });
+});
+
+describe('vlessHandler handshake', () => {
+  it('closes with 4001 for an unknown UUID and hits the negative cache next time', async () => {
+    const { backend, env } = await setup();
+    const get = vi.spyOn(backend, 'get');
+    const unknown = crypto.randomUUID();
+
+    const first = await handshake(env, vlessRequest(unknown));
+    const second = await handshake(env, vlessRequest(unknown));
+
+    expect(first.closed.code).toBe(4001);
+    expect(second.closed.code).toBe(4001);
+    expect(get.mock.calls.filter(([key]) => key === unknown)).toHaveLength(1);
+  });
+
+  it('closes with 1002 for a malformed header', async () => {
+    const { env, uuid } = await setup();
+    const request = vlessRequest(uuid);
+    request[0] = 7;
+
+    const ws = await handshake(env, request);
+    expect(ws.closed.code).toBe(1002);
+  });
+
+  it('closes with 1002 for a truncated header', async () => {
+    const { env, uuid } = await setup();
+    const ws = await handshake(env, vlessRequest(uuid).subarray(0, 12));
+    expect(ws.closed.code).toBe(1002);
+  });
+});
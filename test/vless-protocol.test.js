@@ -0,0 +1,110 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { createMemoryBackend, getAccountRepository } from '../src/accounts.js';
+import { vlessHandler } from '../src/vless.js';
+import { concatBytes, createEchoSocket, FakeWebSocket, tick } from './helpers/fakes.js';
+import { setConnect } from './helpers/sockets.js';
+
+const UUID = 'b831381d-6324-4d53-ad4f-8cda48b30811';
+
+const hex = (text) => Uint8Array.from(text.replace(/\s+/g, '').match(/../g).map(byte => parseInt(byte, 16)));
+
+// Header VLESS yang disusun manual menurut spesifikasi, bukan rekaman
+// client sungguhan. Interop dengan Xray/sing-box tetap perlu dicek manual.
+const HEADERS = {
+  // Addons protobuf (flow xtls-rprx-vision), tujuan domain www.google.com:443,
+  // payload awal potongan TLS ClientHello
+  domainWithAddons: hex(`
+    00 b831381d63244d53ad4f8cda48b30811
+    12 0a 10 78746c732d727072782d766973696f6e
+    01 01bb 02 0e 7777772e676f6f676c652e636f6d
+    16030100c8010000c40303
+  `),
+  // Tanpa addons, tujuan IPv4 1.1.1.1:80, payload HTTP
+  ipv4: hex(`
+    00 b831381d63244d53ad4f8cda48b30811
+    00
+    01 0050 01 01010101
+    474554202f20485454502f312e310d0a0d0a
+  `)
+};
+
+async function setup() {
+  const env = { VLESS_ACCOUNTS: createMemoryBackend() };
+  await getAccountRepository(env).save({ uuid: UUID, server: 'example.com' });
+
+  const sockets = [];
+  setConnect((target) => {
+    const socket = createEchoSocket(target);
+    sockets.push(socket);
+    return socket;
+  });
+  return { env, sockets };
+}
+
+afterEach(() => setConnect(() => {
+  throw new Error('connect() is not configured in this test');
+}));
+
+describe('VLESS conformance with hand-assembled headers', () => {
+  for (const [name, handshake] of Object.entries(HEADERS)) {
+    it(`${name}: sends [version, 0] once, prepended to the first downstream chunk only`, async () => {
+      const { env, sockets } = await setup();
+      const ws = new FakeWebSocket();
+      const done = vlessHandler(ws, env);
+
+      ws.receive(handshake);
+      await tick();
+      ws.receive(hex('0102030405'));
+      await tick();
+      await sockets[0].push(hex('aabb'));
+      await tick();
+
+      expect(sockets).toHaveLength(1);
+      const payload = name === 'domainWithAddons' ? hex('16030100c8010000c40303') : hex('474554202f20485454502f312e310d0a0d0a');
+      expect(sockets[0].received[0]).toEqual(payload);
+
+      expect(ws.sent).toHaveLength(3);
+      expect(ws.sent[0]).toEqual(concatBytes(new Uint8Array([0, 0]), payload));
+      expect(ws.sent[1]).toEqual(hex('0102030405'));
+      expect(ws.sent[2]).toEqual(hex('aabb'));
+
+      ws.disconnect();
+      await sockets[0].end();
+      await done;
+    });
+  }
+
+  it('resolves the encoded destinations', async () => {
+    const { env, sockets } = await setup();
+
+    for (const handshake of Object.values(HEADERS)) {
+      const ws = new FakeWebSocket();
+      const done = vlessHandler(ws, env);
+      ws.receive(handshake);
+      await tick();
+      ws.disconnect();
+      await sockets.at(-1).end();
+      await done;
+    }
+
+    expect(sockets.map(socket => socket.target)).toEqual([
+      { hostname: 'www.google.com', port: 443 },
+      { hostname: '1.1.1.1', port: 80 }
+    ]);
+  });
+
+  it('rejects an addons length that runs past the buffer', async () => {
+    const { env, sockets } = await setup();
+    const handshake = HEADERS.domainWithAddons.slice(0, 30);
+    handshake[17] = 0xc8;
+
+    const ws = new FakeWebSocket();
+    const done = vlessHandler(ws, env);
+    ws.receive(handshake);
+    await done;
+
+    expect(ws.closed).toEqual({ code: 1002, reason: 'Truncated addons' });
+    expect(ws.sent).toHaveLength(0);
+    expect(sockets).toHaveLength(0);
+  });
+});
@@ -0,0 +1,14 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+// Test jalan di Node: `cloudflare:sockets` diganti socket palsu dari test
+export default defineConfig({
+  resolve: {
+    alias: {
+      'cloudflare:sockets': fileURLToPath(new URL('./test/helpers/sockets.js', import.meta.url))
+    }
+  },
+  test: {
+    include: ['test/**/*.test.js']
+  }
+});
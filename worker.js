@@ -4,45 +4,171 @@
 // Deploy langsung di Cloudflare Workers Dashboard
 // =====================================================
 
+import {
+  accountStatus,
+  ConflictError,
+  generateSubToken,
+  getAccountRepository,
+  isAccountExpired,
+  isAccountSuspended,
+  NotFoundError,
+  StorageUnavailableError,
+  ValidationError
+} from './src/accounts.js';
+import {
+  ADMIN_IDENTITY,
+  buildCorsHeaders,
+  clearSessionCookie,
+  createSessionToken,
+  dataPlaneEnv,
+  isAdminPath,
+  isAuthConfigured,
+  isAuthenticated,
+  sessionCookie,
+  verifyPassword
+} from './src/auth.js';
+import { decoyResponse } from './src/decoy.js';
+import {
+  AccountLimitError,
+  countAccounts,
+  getLimitStore,
+  releaseAccount,
+  reserveAccounts
+} from './src/limits.js';
+import { checkRequest, clientIP, recordAuthFailure } from './src/ratelimit.js';
+import { matchShadowsocksPath } from './src/shadowsocks.js';
+import { getUsageStore, totalBytes } from './src/usage.js';
+import { getSessionStore } from './src/sessions.js';
+import { pickFormat, renderSubscription } from './src/subscription.js';
+import { buildAccountLinks } from './src/links.js';
+import {
+  UUID_PATTERN,
+  validateAccountInput,
+  validateAccountPatch,
+  validateCreateOptions,
+  validateListQuery
+} from './src/schema.js';
+import { findProxyRoute, handleShadowsocks, handleVLESS } from './src/vless.js';
+
+export { AccountState } from './src/account-state.js';
+
 export default {
   async fetch(request, env, ctx) {
     const url = new URL(request.url);
     
-    const corsHeaders = {
-      'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type',
-    };
+    const corsHeaders = buildCorsHeaders(request, env);
 
+    // Preflight hanya untuk origin di CORS_ORIGINS; selain itu decoy
     if (request.method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
+      if (!corsHeaders['Access-Control-Allow-Origin']) return decoyResponse(request, env);
+      return new Response(null, { status: 204, headers: corsHeaders });
     }
 
-    // API: Get all accounts
-    if (url.pathname === '/api/accounts') {
-      return handleGetAccounts(env, corsHeaders);
+    // WebSocket VLESS/Trojan di path yang dikonfigurasi, atau Shadowsocks
+    // di path-nya sendiri (tanpa kredensial admin). Path lain: decoy.
+    const upgrade = request.headers.get('Upgrade');
+    if (upgrade === 'websocket') {
+      const proxyEnv = dataPlaneEnv(env);
+      const ssUuid = matchShadowsocksPath(env, url.pathname);
+      if (ssUuid) {
+        return handleShadowsocks(request, proxyEnv, ssUuid);
+      }
+
+      const route = await findProxyRoute(proxyEnv, url.pathname);
+      if (!route) {
+        return decoyResponse(request, env);
+      }
+      return handleVLESS(request, proxyEnv, route);
     }
 
-    // API: Create new account
-    if (url.pathname === '/api/create') {
-      return handleCreateAccount(request, env, corsHeaders);
+    // Subscription per akun (publik, token sebagai kredensial)
+    if (url.pathname.startsWith('/sub/')) {
+      return handleSubscription(request, env, url);
     }
 
-    // API: Delete account
-    if (url.pathname === '/api/delete') {
-      return handleDeleteAccount(request, env, corsHeaders);
+    const ip = clientIP(request);
+    const isApi = url.pathname.startsWith('/api/');
+    const authenticated = await isAuthenticated(request, env);
+
+    // Rate limit per IP untuk semua route API, termasuk login. Tanpa sesi
+    // semua respons gagal (429, 401, logout) berupa decoy, supaya admin API
+    // tidak bisa dideteksi dari luar
+    if (isApi) {
+      const limit = await checkRequest(env, ip);
+      if (!limit.allowed) {
+        return authenticated ? tooManyRequests(limit, corsHeaders) : apiDecoy(request, env);
+      }
     }
 
-    // WebSocket VLESS Protocol
-    const upgrade = request.headers.get('Upgrade');
-    if (upgrade === 'websocket') {
-      return handleVLESS(request, env);
+    // API: Admin login / logout
+    if (url.pathname === '/api/login') {
+      return handleLogin(request, env, corsHeaders, ip);
+    }
+
+    if (url.pathname === '/api/logout') {
+      return authenticated ? handleLogout(corsHeaders) : apiDecoy(request, env);
     }
 
-    // Serve Web Interface
-    return new Response(getHTML(), {
-      headers: { 'Content-Type': 'text/html', ...corsHeaders }
+    if (isApi) {
+      if (!authenticated) {
+        // Hanya route yang dikenal dihitung sebagai kegagalan auth
+        if (isKnownApiPath(url.pathname)) await recordAuthFailure(env, ip);
+        return apiDecoy(request, env);
+      }
+
+      // API: Resource akun (/api/accounts, /api/accounts/:uuid[/action])
+      if (url.pathname === '/api/accounts' || url.pathname.startsWith('/api/accounts/')) {
+        return routeAccountApi(request, env, url, corsHeaders);
+      }
+
+      // Alias lama, dipertahankan untuk script yang sudah ada
+      if (url.pathname === '/api/create') {
+        return handleCreateAccount(request, env, corsHeaders);
+      }
+
+      if (url.pathname === '/api/delete') {
+        return handleDeleteAccount(request, env, corsHeaders);
+      }
+
+      return jsonResponse({ success: false, error: 'Not found' }, corsHeaders, 404);
+    }
+
+    // Web Interface hanya di ADMIN_PATH; root dan path lain mendapat decoy
+    if (isAdminPath(env, url.pathname)) {
+      return new Response(authenticated ? getHTML() : getLoginHTML(), {
+        headers: {
+          'Content-Type': 'text/html',
+          'Cache-Control': 'no-store',
+          'X-Robots-Tag': 'noindex, nofollow',
+          ...corsHeaders
+        }
+      });
+    }
+
+    return decoyResponse(request, env);
+  },
+
+  // Cron: hapus akun yang sudah kedaluwarsa
+  async scheduled(event, env, ctx) {
+    const repository = getAccountRepository(env);
+
+    // Akun lama di key <uuid> dipindah ke acct:<uuid> agar ikut listing
+    const migrated = await repository.migrateLegacyAccounts();
+    if (migrated > 0) console.log(`[Cron] Migrated ${migrated} legacy account key(s)`);
+
+    // Usage ikut direset, supaya UUID yang dibuat ulang mulai dari nol
+    const removed = await repository.sweepExpired(Date.now(), {
+      onRemove: account => resetUsage(env, account.uuid)
     });
+    console.log(`[Cron] Removed ${removed} expired account(s)`);
+
+    // Index path:<path>:<uuid> disamakan dengan metadata akun (akun lama, key basi)
+    const paths = await repository.rebuildPathIndex();
+    console.log(`[Cron] Indexed ${paths} WebSocket path(s)`);
+
+    // Samakan counter MAX_ACCOUNTS dengan isi KV (sweep tidak release per akun)
+    const counts = await countAccounts(repository, ADMIN_IDENTITY);
+    await getLimitStore(env).seed(counts, { force: true });
   }
 };
 
@@ -50,314 +176,397 @@ export default {
 // API HANDLERS
 // =====================================================
 
-async function handleGetAccounts(env, corsHeaders) {
+async function handleSubscription(request, env, url) {
+  const format = pickFormat(url, request.headers.get('User-Agent') || '');
+
+  if (!format) {
+    return new Response('Unknown subscription format', { status: 400 });
+  }
+
   try {
-    if (!env.VLESS_KV) {
-      return jsonResponse({ accounts: [] }, corsHeaders);
+    const token = decodeURIComponent(url.pathname.slice('/sub/'.length));
+    const account = token ? await getAccountRepository(env).findBySubToken(token) : null;
+    if (!account || isAccountExpired(account)) {
+      return new Response('Not found', { status: 404 });
     }
-
-    const list = await env.VLESS_KV.list();
-    const accounts = [];
-    
-    for (const key of list.keys) {
-      const data = await env.VLESS_KV.get(key.name);
-      if (data) accounts.push(JSON.parse(data));
+    if (isAccountSuspended(account)) {
+      return new Response('Account suspended', { status: 403 });
     }
 
-    return jsonResponse({ accounts }, corsHeaders);
+    const usage = await getUsageStore(env).get(account.uuid).catch(() => null);
+    const { body, headers } = renderSubscription(account, format, usage, env);
+    return new Response(body, { headers });
   } catch (error) {
-    console.error('Get accounts error:', error);
-    return jsonResponse({ accounts: [], error: error.message }, corsHeaders);
+    // Token dengan percent-encoding rusak tidak mungkin cocok
+    if (error instanceof URIError) {
+      return new Response('Not found', { status: 404 });
+    }
+    console.error('Subscription error:', error);
+    return new Response('Subscription unavailable', { status: errorStatus(error) });
   }
 }
 
-async function handleCreateAccount(request, env, corsHeaders) {
-  try {
-    const data = await request.json();
-    const account = {
-      uuid: data.uuid,
-      server: data.server,
-      port: data.port,
-      path: data.path,
-      wsHost: data.wsHost,
-      sni: data.sni,
-      security: data.security || 'tls',
-      created: new Date().toISOString()
-    };
+// Route /api yang butuh login (selain /api/login dan /api/logout)
+function isKnownApiPath(pathname) {
+  return pathname === '/api/accounts'
+    || pathname.startsWith('/api/accounts/')
+    || pathname === '/api/create'
+    || pathname === '/api/delete';
+}
 
-    if (env.VLESS_KV) {
-      await env.VLESS_KV.put(account.uuid, JSON.stringify(account));
-    }
+// Decoy untuk request /api tanpa sesi. Body (password, data akun) tidak
+// ikut diteruskan ke upstream decoy.
+function apiDecoy(request, env) {
+  const headers = new Headers(request.headers);
+  headers.delete('content-length');
+  return decoyResponse(new Request(request.url, { method: request.method, headers }), env);
+}
 
-    return jsonResponse({ success: true, account }, corsHeaders);
-  } catch (error) {
-    return jsonResponse({ success: false, error: error.message }, corsHeaders, 500);
+// Hanya login sukses yang dijawab JSON; gagal apa pun mendapat decoy
+async function handleLogin(request, env, corsHeaders, ip) {
+  if (request.method !== 'POST') {
+    return apiDecoy(request, env);
+  }
+
+  // Tanpa ADMIN_SECRET login selalu gagal seperti password salah;
+  // konfigurasi tidak diungkap ke client, hanya ke log
+  if (!isAuthConfigured(env)) {
+    console.warn('[Auth] Login attempt while ADMIN_SECRET is not configured');
   }
+
+  const body = await request.json().catch(() => null);
+  if (!(await verifyPassword(env, body?.password))) {
+    await recordAuthFailure(env, ip);
+    return apiDecoy(request, env);
+  }
+
+  const { token, maxAge } = await createSessionToken(env);
+  return jsonResponse({ success: true, token, expiresIn: maxAge }, {
+    ...corsHeaders,
+    'Set-Cookie': sessionCookie(token, maxAge)
+  });
 }
 
-async function handleDeleteAccount(request, env, corsHeaders) {
+function handleLogout(corsHeaders) {
+  return jsonResponse({ success: true }, { ...corsHeaders, 'Set-Cookie': clearSessionCookie() });
+}
+
+// Listing berhalaman dari metadata KV; usage/sesi hanya untuk halaman ini
+async function handleGetAccounts(env, url, corsHeaders) {
   try {
-    const { uuid } = await request.json();
-    if (env.VLESS_KV) {
-      await env.VLESS_KV.delete(uuid);
-    }
-    return jsonResponse({ success: true }, corsHeaders);
+    const query = validateListQuery(url.searchParams);
+    const { accounts, cursor } = await getAccountRepository(env).listPage(query);
+    const state = await loadAccountState(env, accounts);
+    return jsonResponse({
+      success: true,
+      accounts: accounts.map(account => ({
+        ...account,
+        status: accountStatus(account),
+        usage: state.usage.get(account.uuid) || null,
+        activeSessions: state.sessions.get(account.uuid) ?? null
+      })),
+      cursor
+    }, corsHeaders);
   } catch (error) {
-    return jsonResponse({ success: false, error: error.message }, corsHeaders, 500);
+    console.error('Get accounts error:', error);
+    return jsonResponse(errorBody(error), corsHeaders, errorStatus(error));
   }
 }
 
-function jsonResponse(data, headers, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: { 'Content-Type': 'application/json', ...headers }
-  });
+// Akun lama bisa berisi host yang tidak valid; jangan gagalkan listing
+function safeAccountLinks(account, env) {
+  try {
+    return buildAccountLinks(account, env);
+  } catch (error) {
+    return [];
+  }
 }
 
-// =====================================================
-// VLESS PROTOCOL - BIDIRECTIONAL PROXY
-// =====================================================
+// Usage dan sesi aktif per akun dari Durable Object; gagal baca tidak
+// menggagalkan listing
+async function loadAccountState(env, accounts) {
+  const usage = new Map();
+  const sessions = new Map();
 
-async function handleVLESS(request, env) {
-  const pair = new WebSocketPair();
-  const [client, server] = Object.values(pair);
-  
-  server.accept();
-  
-  // Handle VLESS connection
-  vlessHandler(server, env).catch(err => {
-    console.error('VLESS error:', err);
-    safeClose(server, 1011, err.message);
-  });
+  try {
+    const usageStore = getUsageStore(env);
+    const sessionStore = getSessionStore(env);
+    await Promise.all(accounts.map(async (account) => {
+      try {
+        const [accountUsage, accountSessions] = await Promise.all([
+          usageStore.get(account.uuid),
+          sessionStore.count(account.uuid)
+        ]);
+        usage.set(account.uuid, accountUsage);
+        sessions.set(account.uuid, accountSessions.active);
+      } catch (error) {
+        console.error(`State lookup failed for ${account.uuid}:`, error.message);
+      }
+    }));
+  } catch (error) {
+    console.error('Account state unavailable:', error.message);
+  }
 
-  return new Response(null, {
-    status: 101,
-    webSocket: client
-  });
+  return { usage, sessions };
 }
 
-async function vlessHandler(ws, env) {
-  let remote = null;
-  let headerParsed = false;
-  let remoteReader = null;
-
-  // Client -> Server (Upload direction)
-  ws.addEventListener('message', async (event) => {
-    try {
-      const data = event.data;
-
-      if (!headerParsed) {
-        // Parse VLESS header from first packet
-        const buffer = new Uint8Array(await data.arrayBuffer());
-        const parseResult = parseVLESSHeader(buffer, env);
-        
-        if (!parseResult.valid) {
-          console.error('Invalid VLESS header:', parseResult.error);
-          safeClose(ws, 1008, parseResult.error);
-          return;
-        }
+async function handleCreateAccount(request, env, corsHeaders) {
+  try {
+    const repository = getAccountRepository(env);
+    const data = await request.json().catch(() => {
+      throw new ValidationError('Request body must be valid JSON');
+    });
+    const { count, update } = validateCreateOptions(data, env);
 
-        headerParsed = true;
-        const { address, port, payload } = parseResult;
-        
-        console.log(`[VLESS] Connecting to ${address}:${port}`);
-
-        // Connect to target server
-        try {
-          remote = connect({ hostname: address, port: port });
-
-          // Start Server -> Client (Download direction)
-          remoteToWebSocket(remote, ws, remoteReader);
-
-          // Send initial payload if exists
-          if (payload && payload.byteLength > 0) {
-            const writer = remote.writable.getWriter();
-            await writer.write(payload);
-            writer.releaseLock();
-            console.log(`[VLESS] Sent initial payload: ${payload.byteLength} bytes`);
-          }
-
-        } catch (error) {
-          console.error('[VLESS] Connection failed:', error);
-          safeClose(ws, 1011, `Connection failed: ${error.message}`);
-          return;
-        }
+    // Update akun yang sudah ada tidak memakai slot baru
+    const replacing = update && Boolean(await repository.get(String(data.uuid).toLowerCase()));
+    const reservation = await reserveAccounts(env, repository, ADMIN_IDENTITY, replacing ? 0 : count);
 
-      } else {
-        // Forward data to remote server
-        if (remote && remote.writable) {
-          const writer = remote.writable.getWriter();
-          const buffer = await data.arrayBuffer();
-          await writer.write(new Uint8Array(buffer));
-          writer.releaseLock();
-          console.log(`[UP] Client -> Remote: ${buffer.byteLength} bytes`);
-        }
+    const created = [];
+    try {
+      for (let i = 0; i < count; i++) {
+        created.push(await provisionAccount(repository, { ...data, createdBy: ADMIN_IDENTITY }, env, update));
       }
-    } catch (error) {
-      console.error('[VLESS] Message error:', error);
-      safeClose(ws, 1011, error.message);
+    } finally {
+      await reservation.release(count - created.length);
     }
-  });
 
-  ws.addEventListener('close', () => {
-    console.log('[VLESS] WebSocket closed');
-    if (remote) {
-      try {
-        remote.close();
-      } catch (e) {}
+    if (count === 1) {
+      return jsonResponse({ success: true, ...created[0] }, corsHeaders);
     }
-  });
-
-  ws.addEventListener('error', (err) => {
-    console.error('[VLESS] WebSocket error:', err);
-  });
+    return jsonResponse({ success: true, accounts: created }, corsHeaders);
+  } catch (error) {
+    return jsonResponse(errorBody(error), corsHeaders, errorStatus(error));
+  }
 }
 
-// Server -> Client (Download direction)
-async function remoteToWebSocket(remote, ws, readerRef) {
-  try {
-    const reader = remote.readable.getReader();
-    readerRef = reader;
-
-    while (true) {
-      const { done, value } = await reader.read();
-      
-      if (done) {
-        console.log('[VLESS] Remote stream ended');
-        break;
-      }
+// UUID dibuat di server (crypto.randomUUID) jika tidak diisi; tabrakan
+// dengan key yang sudah ada dibuat ulang, UUID dari client ditolak 409.
+const UUID_ATTEMPTS = 3;
 
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(value);
-        console.log(`[DOWN] Remote -> Client: ${value.byteLength} bytes`);
-      } else {
-        console.log('[VLESS] WebSocket closed, stopping read');
-        break;
-      }
+async function provisionAccount(repository, data, env, update) {
+  for (let attempt = 1; ; attempt++) {
+    const account = {
+      ...validateAccountInput(data, env),
+      createdBy: data.createdBy,
+      subToken: generateSubToken(),
+      created: new Date().toISOString()
+    };
+
+    // Validasi host/port/path lewat link builder sebelum disimpan
+    const links = buildAccountLinks(account, env);
+
+    try {
+      const saved = await repository.create(account, { update });
+      return { account: saved, links };
+    } catch (error) {
+      const generated = data.uuid === undefined || data.uuid === null || data.uuid === '';
+      if (!(error instanceof ConflictError) || !generated || attempt >= UUID_ATTEMPTS) throw error;
     }
-  } catch (error) {
-    console.error('[VLESS] Remote read error:', error);
-  } finally {
-    safeClose(ws);
   }
 }
 
-// Parse VLESS Protocol Header
-function parseVLESSHeader(buffer, env) {
-  try {
-    if (buffer.byteLength < 24) {
-      return { valid: false, error: 'Buffer too short' };
-    }
+// Routing /api/accounts. Method yang tidak didukung dijawab 405 + Allow.
+const ACCOUNT_ACTIONS = ['rotate', 'suspend', 'resume'];
+
+async function routeAccountApi(request, env, url, corsHeaders) {
+  const [, , , rawUuid, action, ...rest] = url.pathname.split('/');
+  const method = request.method;
+  const notAllowed = allow => jsonResponse(
+    { success: false, error: `Method ${method} not allowed` },
+    { ...corsHeaders, Allow: allow },
+    405
+  );
+
+  if (!rawUuid) {
+    if (method === 'GET') return handleGetAccounts(env, url, corsHeaders);
+    if (method === 'POST') return handleCreateAccount(request, env, corsHeaders);
+    return notAllowed('GET, POST');
+  }
 
-    let offset = 0;
+  const notFound = () => jsonResponse({ success: false, error: 'Not found' }, corsHeaders, 404);
 
-    // Version
-    const version = buffer[offset++];
-    if (version !== 0) {
-      return { valid: false, error: `Invalid version: ${version}` };
-    }
+  let uuid;
+  try {
+    uuid = decodeURIComponent(rawUuid).toLowerCase();
+  } catch (error) {
+    // Percent-encoding rusak (URIError)
+    return notFound();
+  }
+  if (!UUID_PATTERN.test(uuid) || rest.length > 0 || (action && !ACCOUNT_ACTIONS.includes(action))) {
+    return notFound();
+  }
 
-    // UUID (16 bytes)
-    const uuidBytes = buffer.slice(offset, offset + 16);
-    const uuid = bytesToUUID(uuidBytes);
-    offset += 16;
+  if (action) {
+    if (method !== 'POST') return notAllowed('POST');
+    if (action === 'rotate') return handleRotateAccount(env, uuid, corsHeaders);
+    return handleSetSuspended(env, uuid, action === 'suspend', corsHeaders);
+  }
 
-    // Validate UUID
-    const isValid = env.VLESS_KV ? validateUUID(uuid, env) : true;
-    if (!isValid) {
-      return { valid: false, error: 'Unauthorized UUID' };
+  switch (method) {
+    case 'GET':
+      return handleGetAccount(env, uuid, corsHeaders);
+    case 'PATCH': {
+      const patch = await request.json().catch(() => null);
+      if (patch === null) {
+        return jsonResponse(errorBody(new ValidationError('Request body must be valid JSON')), corsHeaders, 400);
+      }
+      return handleUpdateAccount(env, uuid, patch, corsHeaders);
     }
+    case 'DELETE':
+      return handleRemoveAccount(env, uuid, corsHeaders);
+    default:
+      return notAllowed('GET, PATCH, DELETE');
+  }
+}
 
-    console.log(`[VLESS] Valid UUID: ${uuid}`);
+async function findAccountOrThrow(repository, uuid) {
+  const account = await repository.get(uuid);
+  if (!account) throw new NotFoundError(`Account ${uuid} not found`);
+  return account;
+}
 
-    // Additional info
-    const addLen = buffer[offset++];
-    offset += addLen;
+async function handleGetAccount(env, uuid, corsHeaders) {
+  try {
+    const account = await findAccountOrThrow(getAccountRepository(env), uuid);
+    const state = await loadAccountState(env, [account]);
+    return jsonResponse({
+      success: true,
+      account: {
+        ...account,
+        status: accountStatus(account),
+        links: safeAccountLinks(account, env),
+        usage: state.usage.get(uuid) || null,
+        activeSessions: state.sessions.get(uuid) ?? null
+      }
+    }, corsHeaders);
+  } catch (error) {
+    return jsonResponse(errorBody(error), corsHeaders, errorStatus(error));
+  }
+}
 
-    // Command
-    const command = buffer[offset++];
-    if (command !== 1) {
-      return { valid: false, error: `Unsupported command: ${command}` };
-    }
+async function handleUpdateAccount(env, uuid, patch, corsHeaders) {
+  try {
+    const repository = getAccountRepository(env);
+    const account = validateAccountPatch(await findAccountOrThrow(repository, uuid), patch, env);
+    account.updated = new Date().toISOString();
 
-    // Port (big-endian)
-    const port = (buffer[offset] << 8) | buffer[offset + 1];
-    offset += 2;
+    const links = buildAccountLinks(account, env);
+    await repository.save(account);
+    return jsonResponse({ success: true, account, links }, corsHeaders);
+  } catch (error) {
+    return jsonResponse(errorBody(error), corsHeaders, errorStatus(error));
+  }
+}
 
-    // Address type
-    const addrType = buffer[offset++];
-    let address = '';
+// Suspend/resume hanya mengubah flag, tanpa validasi ulang seluruh akun,
+// supaya akun lama yang tidak lolos schema sekarang tetap bisa di-suspend
+async function handleSetSuspended(env, uuid, suspended, corsHeaders) {
+  try {
+    const repository = getAccountRepository(env);
+    const account = await findAccountOrThrow(repository, uuid);
+    account.suspended = suspended;
+    account.updated = new Date().toISOString();
 
-    if (addrType === 1) {
-      // IPv4
-      address = `${buffer[offset]}.${buffer[offset+1]}.${buffer[offset+2]}.${buffer[offset+3]}`;
-      offset += 4;
-    } else if (addrType === 2) {
-      // Domain
-      const domainLen = buffer[offset++];
-      const domainBytes = buffer.slice(offset, offset + domainLen);
-      address = new TextDecoder().decode(domainBytes);
-      offset += domainLen;
-    } else if (addrType === 3) {
-      // IPv6
-      const ipv6 = [];
-      for (let i = 0; i < 16; i += 2) {
-        ipv6.push(((buffer[offset+i] << 8) | buffer[offset+i+1]).toString(16));
-      }
-      address = ipv6.join(':');
-      offset += 16;
-    } else {
-      return { valid: false, error: `Invalid address type: ${addrType}` };
-    }
+    await repository.save(account);
+    return jsonResponse({ success: true, account, links: safeAccountLinks(account, env) }, corsHeaders);
+  } catch (error) {
+    return jsonResponse(errorBody(error), corsHeaders, errorStatus(error));
+  }
+}
 
-    // Remaining payload
-    const payload = buffer.slice(offset);
+// UUID baru, metadata dan subToken tetap. Counter trafik ikut dipindah
+// supaya kuota tidak ter-reset oleh rotate.
+async function handleRotateAccount(env, uuid, corsHeaders) {
+  try {
+    const account = await getAccountRepository(env).rotate(uuid);
 
-    return {
-      valid: true,
-      uuid,
-      address,
-      port,
-      payload
-    };
+    const usageStore = getUsageStore(env);
+    try {
+      const usage = await usageStore.get(uuid);
+      if (totalBytes(usage) > 0) await usageStore.add(account.uuid, usage);
+      await usageStore.reset(uuid);
+    } catch (error) {
+      console.error(`Usage transfer failed for ${uuid}:`, error.message);
+    }
 
+    return jsonResponse({ success: true, account, links: safeAccountLinks(account, env) }, corsHeaders);
   } catch (error) {
-    return { valid: false, error: error.message };
+    return jsonResponse(errorBody(error), corsHeaders, errorStatus(error));
   }
 }
 
-// UUID validation (async check with KV)
-async function validateUUID(uuid, env) {
+async function handleRemoveAccount(env, uuid, corsHeaders) {
   try {
-    const account = await env.VLESS_KV.get(uuid);
-    return account !== null;
+    const repository = getAccountRepository(env);
+    await findAccountOrThrow(repository, uuid);
+    await removeAccount(env, repository, uuid);
+    return jsonResponse({ success: true }, corsHeaders);
   } catch (error) {
-    console.error('UUID validation error:', error);
-    return false;
+    return jsonResponse(errorBody(error), corsHeaders, errorStatus(error));
   }
 }
 
-// Convert bytes to UUID string
-function bytesToUUID(bytes) {
-  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-  return [
-    hex.substring(0, 8),
-    hex.substring(8, 12),
-    hex.substring(12, 16),
-    hex.substring(16, 20),
-    hex.substring(20, 32)
-  ].join('-');
+// POST /api/delete lama dengan body { uuid }
+// UUID divalidasi seperti DELETE /api/accounts/:uuid, supaya key index
+// (sub:, trojan:, path:) tidak bisa dihapus langsung
+async function handleDeleteAccount(request, env, corsHeaders) {
+  const body = await request.json().catch(() => null);
+  const uuid = body && typeof body.uuid === 'string' ? body.uuid.trim().toLowerCase() : '';
+  if (!uuid) {
+    return jsonResponse(errorBody(new ValidationError('Validation failed', { uuid: 'Required' })), corsHeaders, 400);
+  }
+  if (!UUID_PATTERN.test(uuid)) {
+    return jsonResponse(errorBody(new ValidationError('Validation failed', { uuid: 'Must be a valid UUID' })), corsHeaders, 400);
+  }
+  return handleRemoveAccount(env, uuid, corsHeaders);
 }
 
-// Safe WebSocket close
-function safeClose(ws, code = 1000, reason = '') {
-  try {
-    if (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING) {
-      ws.close(code, reason);
-    }
-  } catch (e) {
-    console.error('Error closing WebSocket:', e);
+async function removeAccount(env, repository, uuid) {
+  const account = await repository.remove(uuid);
+  if (account) await releaseAccount(env, account.createdBy || ADMIN_IDENTITY);
+  await resetUsage(env, uuid);
+}
+
+// Gagal reset hanya dicatat; akun sudah terhapus
+async function resetUsage(env, uuid) {
+  await getUsageStore(env).reset(uuid).catch(error => {
+    console.error(`Usage reset failed for ${uuid}:`, error.message);
+  });
+}
+
+// Body error JSON; ValidationError membawa pesan per field
+function errorBody(error) {
+  const body = { success: false, error: error.message };
+  if (error instanceof ValidationError && error.fields) {
+    body.fields = error.fields;
   }
+  return body;
+}
+
+function errorStatus(error) {
+  if (error instanceof ValidationError) return 400;
+  if (error instanceof NotFoundError) return 404;
+  if (error instanceof ConflictError) return 409;
+  if (error instanceof AccountLimitError) return error.status;
+  if (error instanceof StorageUnavailableError) return 503;
+  return 500;
+}
+
+// 429 dengan Retry-After, dari hasil checkRequest/recordAuthFailure
+function tooManyRequests({ banned, retryAfter }, headers) {
+  return jsonResponse(
+    { success: false, error: banned ? 'Too many failed attempts, try again later' : 'Too many requests', retryAfter },
+    { ...headers, 'Retry-After': String(retryAfter) },
+    429
+  );
+}
+
+function jsonResponse(data, headers, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
 }
 
 // =====================================================
@@ -381,74 +590,129 @@ function getHTML() {
     
     // State
     const config = signal({
+      protocol: 'vless',
+      ssCipher: 'aes-256-gcm',
       server: '',
       port: '443',
-      path: '/',
+      path: '',
       wsHost: location.hostname,
       sni: '',
-      security: 'tls'
+      security: 'tls',
+      validDays: '',
+      quotaGB: '',
+      maxConnections: ''
     });
     
     const accounts = signal([]);
     const result = signal(null);
     const status = signal('');
     const copied = signal('');
+    const fieldErrors = signal({});
+    const errorMessage = signal('');
+
+    // Listing: filter aktif, cursor halaman sekarang dan riwayat untuk Prev
+    const PAGE_SIZE = 20;
+    const listQuery = signal({ q: '', status: '' });
+    const page = signal({ cursor: null, history: [], next: null });
+
+    // Tanpa sesi server menjawab dengan decoy (bukan JSON), bukan 401
+    function sessionExpired(res) {
+      return !(res.headers.get('Content-Type') || '').startsWith('application/json');
+    }
 
-    // Load accounts
+    // Load accounts (halaman sekarang)
     async function loadAccounts() {
       try {
-        const res = await fetch('/api/accounts');
+        const params = new URLSearchParams({ limit: PAGE_SIZE });
+        const query = listQuery.value;
+        if (query.q) params.set('q', query.q);
+        if (query.status) params.set('status', query.status);
+        if (page.value.cursor) params.set('cursor', page.value.cursor);
+
+        const res = await fetch('/api/accounts?' + params);
+        if (sessionExpired(res)) return location.reload();
         const data = await res.json();
         accounts.value = data.accounts || [];
+        page.value = { ...page.value, next: data.cursor || null };
       } catch (e) {
         console.error(e);
       }
     }
 
-    // Generate UUID
-    function genUUID() {
-      return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, c => {
-        const r = Math.random() * 16 | 0;
-        return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
-      });
+    // Filter baru selalu mulai dari halaman pertama
+    function searchAccounts(changes) {
+      listQuery.value = { ...listQuery.value, ...changes };
+      page.value = { cursor: null, history: [], next: null };
+      loadAccounts();
+    }
+
+    function nextPage() {
+      const { cursor, history, next } = page.value;
+      if (!next) return;
+      page.value = { cursor: next, history: [...history, cursor], next: null };
+      loadAccounts();
+    }
+
+    function prevPage() {
+      const { history } = page.value;
+      if (history.length === 0) return;
+      page.value = { cursor: history[history.length - 1], history: history.slice(0, -1), next: null };
+      loadAccounts();
     }
 
     // Create account
     async function createAccount() {
       const cfg = config.value;
-      if (!cfg.server || !cfg.sni) {
+      const missing = {};
+      if (!cfg.server) missing.server = 'Required';
+      if (!cfg.sni) missing.sni = 'Required';
+      fieldErrors.value = missing;
+      if (Object.keys(missing).length > 0) {
         status.value = 'error';
         setTimeout(() => status.value = '', 3000);
         return;
       }
 
       status.value = 'loading';
+      errorMessage.value = '';
 
       try {
-        const uuid = genUUID();
+        // UUID dibuat oleh server
         const payload = {
-          uuid,
+          protocol: cfg.protocol,
+          ssCipher: cfg.protocol === 'shadowsocks' ? cfg.ssCipher : undefined,
           server: cfg.server,
           port: cfg.port,
           path: cfg.path,
           wsHost: cfg.wsHost,
           sni: cfg.sni,
-          security: cfg.security
+          security: cfg.security,
+          validDays: cfg.validDays || undefined,
+          quotaGB: cfg.quotaGB || undefined,
+          maxConnections: cfg.maxConnections || undefined
         };
 
-        const res = await fetch('/api/create', {
+        const res = await fetch('/api/accounts', {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify(payload)
         });
 
+        if (sessionExpired(res)) return location.reload();
+
+        const data = await res.json().catch(() => ({}));
+
         if (res.ok) {
-          const vlessLink = \`vless://\${uuid}@\${cfg.server}:\${cfg.port}?type=ws&security=\${cfg.security}&path=\${encodeURIComponent(cfg.path)}&host=\${cfg.wsHost}&sni=\${cfg.sni}&alpn=h2,http/1.1&fp=chrome#VLESS-\${Date.now()}\`;
-          
-          result.value = { ...payload, vlessLink };
+          const { account, links } = data;
+          const subscriptionUrl = subUrl(account);
+
+          result.value = { ...account, links, subscriptionUrl };
           status.value = 'success';
           await loadAccounts();
         } else {
+          fieldErrors.value = data.fields || {};
+          // 409/429: batas jumlah akun tercapai, tampilkan pesan server apa adanya
+          errorMessage.value = data.fields ? '' : (data.error || '');
           status.value = 'error';
         }
       } catch (e) {
@@ -457,6 +721,48 @@ function getHTML() {
       }
     }
 
+    // Pesan error dari server di bawah input yang bersangkutan
+    function fieldError(name) {
+      const message = fieldErrors.value[name];
+      return message ? \`<p class="text-xs text-red-400 mt-1">\${message}</p>\` : '';
+    }
+
+    // Sisa masa aktif akun
+    function remainingDays(acc) {
+      if (!acc.expiresAt) return 'No expiry';
+      const days = Math.ceil((Date.parse(acc.expiresAt) - Date.now()) / 86400000);
+      return days > 0 ? \`\${days} day\${days === 1 ? '' : 's'} left\` : 'Expired';
+    }
+
+    function formatBytes(bytes) {
+      const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+      let value = bytes;
+      let unit = 0;
+      while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+      }
+      return \`\${value.toFixed(unit === 0 ? 0 : 1)} \${units[unit]}\`;
+    }
+
+    // Pemakaian trafik: ↑ upload ↓ download / kuota
+    function usageText(acc) {
+      const usage = acc.usage || { upload: 0, download: 0 };
+      const quota = acc.quotaBytes ? \` / \${formatBytes(acc.quotaBytes)}\` : '';
+      return \`↑ \${formatBytes(usage.upload)} ↓ \${formatBytes(usage.download)}\${quota}\`;
+    }
+
+    // Sesi aktif / batas perangkat
+    function sessionText(acc) {
+      const active = acc.activeSessions ?? '-';
+      return \`Sessions: \${active}\${acc.maxConnections ? \` / \${acc.maxConnections}\` : ''}\`;
+    }
+
+    // URL subscription untuk auto-update di client
+    function subUrl(acc) {
+      return acc.subToken ? \`\${location.origin}/sub/\${acc.subToken}\` : '';
+    }
+
     // Copy to clipboard
     function copy(text, field) {
       navigator.clipboard.writeText(text);
@@ -464,21 +770,47 @@ function getHTML() {
       setTimeout(() => copied.value = '', 2000);
     }
 
+    function copyLink(index) {
+      copy(result.value.links[index].link, \`link-\${index}\`);
+    }
+
     // Delete account
     async function deleteAccount(uuid) {
       if (!confirm('Delete this account?')) return;
+      await accountAction(uuid, '', 'DELETE');
+    }
+
+    // Suspend / resume: akun tetap tersimpan tapi handshake ditolak
+    async function toggleSuspend(uuid, suspended) {
+      await accountAction(uuid, suspended ? '/resume' : '/suspend', 'POST');
+    }
+
+    // UUID baru dengan konfigurasi yang sama; link lama berhenti bekerja
+    async function rotateAccount(uuid) {
+      if (!confirm('Issue a new UUID? Existing client configs will stop working.')) return;
+      await accountAction(uuid, '/rotate', 'POST');
+    }
+
+    async function accountAction(uuid, action, method) {
       try {
-        await fetch('/api/delete', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ uuid })
-        });
+        const res = await fetch(\`/api/accounts/\${uuid}\${action}\`, { method });
+        if (sessionExpired(res)) return location.reload();
+        if (!res.ok) {
+          const data = await res.json().catch(() => ({}));
+          alert(data.error || 'Request failed');
+        }
         await loadAccounts();
       } catch (e) {
         console.error(e);
       }
     }
 
+    // Logout
+    async function logout() {
+      await fetch('/api/logout', { method: 'POST' });
+      location.reload();
+    }
+
     // Render
     function render() {
       const app = document.getElementById('app');
@@ -487,6 +819,8 @@ function getHTML() {
       const accs = accounts.value;
       const st = status.value;
       const cp = copied.value;
+      const query = listQuery.value;
+      const pg = page.value;
 
       app.innerHTML = \`
         <div class="container mx-auto px-4 py-8 max-w-5xl">
@@ -528,7 +862,7 @@ function getHTML() {
                 <svg class="w-5 h-5 text-red-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                   <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
                 </svg>
-                <span class="text-white">Failed. Check your configuration.</span>
+                <span class="text-white">\${errorMessage.value || 'Failed. Check your configuration.'}</span>
               </div>
             </div>
           \` : ''}
@@ -557,6 +891,33 @@ function getHTML() {
 
                 <!-- Form -->
                 <div class="space-y-4">
+                  <div>
+                    <label class="block text-sm font-medium text-purple-200 mb-2">Protocol</label>
+                    <select
+                      onchange="config.value = {...config.value, protocol: this.value}"
+                      class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white focus:outline-none focus:border-purple-400"
+                    >
+                      <option value="vless" \${cfg.protocol === 'vless' ? 'selected' : ''} class="bg-slate-800">VLESS</option>
+                      <option value="trojan" \${cfg.protocol === 'trojan' ? 'selected' : ''} class="bg-slate-800">Trojan (TCP only)</option>
+                      <option value="shadowsocks" \${cfg.protocol === 'shadowsocks' ? 'selected' : ''} class="bg-slate-800">Shadowsocks (TCP only)</option>
+                    </select>
+                    \${fieldError('protocol')}
+                  </div>
+
+                  \${cfg.protocol === 'shadowsocks' ? \`
+                    <div>
+                      <label class="block text-sm font-medium text-purple-200 mb-2">Cipher</label>
+                      <select
+                        onchange="config.value = {...config.value, ssCipher: this.value}"
+                        class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white focus:outline-none focus:border-purple-400"
+                      >
+                        <option value="aes-256-gcm" \${cfg.ssCipher === 'aes-256-gcm' ? 'selected' : ''} class="bg-slate-800">aes-256-gcm</option>
+                        <option value="aes-128-gcm" \${cfg.ssCipher === 'aes-128-gcm' ? 'selected' : ''} class="bg-slate-800">aes-128-gcm</option>
+                      </select>
+                      \${fieldError('ssCipher')}
+                    </div>
+                  \` : ''}
+
                   <div>
                     <label class="block text-sm font-medium text-purple-200 mb-2">Target Server *</label>
                     <input
@@ -566,6 +927,7 @@ function getHTML() {
                       placeholder="developer.mixpanel.com atau IP"
                       class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-400 focus:ring-2 focus:ring-purple-400/50"
                     />
+                    \${fieldError('server')}
                     <p class="text-xs text-gray-400 mt-1">Server tujuan yang akan diakses</p>
                   </div>
 
@@ -574,14 +936,16 @@ function getHTML() {
                       <label class="block text-sm font-medium text-purple-200 mb-2">Port</label>
                       <select
                         value="\${cfg.port}"
-                        onchange="config.value = {...config.value, port: this.value, security: this.value === '443' ? 'tls' : 'none'}"
+                        onchange="config.value = {...config.value, port: this.value, security: ['443', '8443', '2053'].includes(this.value) ? 'tls' : 'none'}"
                         class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white focus:outline-none focus:border-purple-400"
                       >
                         <option value="443">443 (TLS)</option>
+                        <option value="8443">8443 (TLS)</option>
+                        <option value="2053">2053 (TLS)</option>
                         <option value="80">80</option>
                         <option value="8080">8080</option>
-                        <option value="8443">8443</option>
                       </select>
+                      \${fieldError('port')}
                     </div>
                     <div>
                       <label class="block text-sm font-medium text-purple-200 mb-2">Path</label>
@@ -589,8 +953,10 @@ function getHTML() {
                         type="text"
                         value="\${cfg.path}"
                         oninput="config.value = {...config.value, path: this.value}"
+                        placeholder="Default (DEFAULT_PATH)"
                         class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white focus:outline-none focus:border-purple-400"
                       />
+                      \${fieldError('path')}
                     </div>
                   </div>
 
@@ -602,9 +968,49 @@ function getHTML() {
                       oninput="config.value = {...config.value, wsHost: this.value}"
                       class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white focus:outline-none focus:border-purple-400"
                     />
+                    \${fieldError('wsHost')}
                     <p class="text-xs text-gray-400 mt-1">Host header untuk WebSocket (biasanya worker domain)</p>
                   </div>
 
+                  <div>
+                    <label class="block text-sm font-medium text-purple-200 mb-2">Maks. Perangkat</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value="\${cfg.maxConnections}"
+                      oninput="config.value = {...config.value, maxConnections: this.value}"
+                      placeholder="Kosongkan untuk tanpa batas"
+                      class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-400"
+                    />
+                    \${fieldError('maxConnections')}
+                  </div>
+
+                  <div>
+                    <label class="block text-sm font-medium text-purple-200 mb-2">Kuota (GB)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value="\${cfg.quotaGB}"
+                      oninput="config.value = {...config.value, quotaGB: this.value}"
+                      placeholder="Kosongkan untuk tanpa batas"
+                      class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-400"
+                    />
+                    \${fieldError('quotaGB')}
+                  </div>
+
+                  <div>
+                    <label class="block text-sm font-medium text-purple-200 mb-2">Masa Aktif (hari)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value="\${cfg.validDays}"
+                      oninput="config.value = {...config.value, validDays: this.value}"
+                      placeholder="Kosongkan untuk tanpa batas"
+                      class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-400"
+                    />
+                    \${fieldError('validDays')}
+                  </div>
+
                   <div>
                     <label class="block text-sm font-medium text-purple-200 mb-2">SNI (Server Name Indication) *</label>
                     <input
@@ -614,6 +1020,7 @@ function getHTML() {
                       placeholder="graph.facebook.com atau domain bug"
                       class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-400 focus:ring-2 focus:ring-purple-400/50"
                     />
+                    \${fieldError('sni')}
                     <p class="text-xs text-gray-400 mt-1">Domain untuk TLS handshake (bisa berbeda dengan server)</p>
                   </div>
 
@@ -647,7 +1054,7 @@ function getHTML() {
 
               <div class="space-y-4">
                 <div class="bg-white/5 rounded-xl p-4">
-                  <label class="block text-sm font-medium text-purple-200 mb-2">UUID</label>
+                  <label class="block text-sm font-medium text-purple-200 mb-2">\${res.protocol === 'trojan' ? 'UUID / Trojan Password' : 'UUID'}</label>
                   <div class="flex items-center gap-2">
                     <code class="flex-1 bg-black/30 px-3 py-2 rounded text-green-400 text-sm break-all">\${res.uuid}</code>
                     <button onclick="copy('\${res.uuid}', 'uuid')" class="px-4 py-2 bg-purple-500 hover:bg-purple-600 rounded-lg text-white text-sm">
@@ -656,6 +1063,18 @@ function getHTML() {
                   </div>
                 </div>
 
+                \${res.protocol === 'shadowsocks' ? \`
+                  <div class="bg-white/5 rounded-xl p-4">
+                    <label class="block text-sm font-medium text-purple-200 mb-2">Shadowsocks Password (\${res.ssCipher})</label>
+                    <div class="flex items-center gap-2">
+                      <code class="flex-1 bg-black/30 px-3 py-2 rounded text-green-400 text-sm break-all">\${res.ssPassword}</code>
+                      <button onclick="copy('\${res.ssPassword}', 'ssPassword')" class="px-4 py-2 bg-purple-500 hover:bg-purple-600 rounded-lg text-white text-sm">
+                        \${cp === 'ssPassword' ? '✓' : '📋'}
+                      </button>
+                    </div>
+                  </div>
+                \` : ''}
+
                 <div class="grid grid-cols-2 gap-4">
                   <div class="bg-white/5 rounded-xl p-4">
                     <label class="block text-sm text-purple-200 mb-1">Server</label>
@@ -668,13 +1087,29 @@ function getHTML() {
                 </div>
 
                 <div class="bg-white/5 rounded-xl p-4">
-                  <label class="block text-sm font-medium text-purple-200 mb-2">VLESS Link</label>
+                  <label class="block text-sm font-medium text-purple-200 mb-2">\${(res.protocol || 'vless').toUpperCase()} Links (\${res.links.length})</label>
+                  <div class="space-y-2 max-h-64 overflow-y-auto">
+                    \${res.links.map((entry, j) => \`
+                      <div class="flex items-center gap-2">
+                        <span class="text-xs text-purple-300 w-28 shrink-0">\${entry.address}:\${entry.port} \${entry.security === 'tls' ? '🔒' : ''}</span>
+                        <code class="flex-1 bg-black/30 px-3 py-2 rounded text-green-400 text-xs break-all max-h-24 overflow-y-auto">\${entry.link}</code>
+                        <button onclick="copyLink(\${j})" class="px-4 py-2 bg-purple-500 hover:bg-purple-600 rounded-lg text-white text-sm">
+                          \${cp === \`link-\${j}\` ? '✓' : '📋'}
+                        </button>
+                      </div>
+                    \`).join('')}
+                  </div>
+                </div>
+
+                <div class="bg-white/5 rounded-xl p-4">
+                  <label class="block text-sm font-medium text-purple-200 mb-2">Subscription URL</label>
                   <div class="flex items-center gap-2">
-                    <code class="flex-1 bg-black/30 px-3 py-2 rounded text-green-400 text-xs break-all max-h-24 overflow-y-auto">\${res.vlessLink}</code>
-                    <button onclick="copy('\${res.vlessLink}', 'link')" class="px-4 py-2 bg-purple-500 hover:bg-purple-600 rounded-lg text-white text-sm">
-                      \${cp === 'link' ? '✓' : '📋'}
+                    <code class="flex-1 bg-black/30 px-3 py-2 rounded text-green-400 text-xs break-all">\${res.subscriptionUrl}</code>
+                    <button onclick="copy('\${res.subscriptionUrl}', 'sub')" class="px-4 py-2 bg-purple-500 hover:bg-purple-600 rounded-lg text-white text-sm">
+                      \${cp === 'sub' ? '✓' : '📋'}
                     </button>
                   </div>
+                  <p class="text-xs text-gray-400 mt-1">Format otomatis dari User-Agent, atau tambahkan ?format=clash | singbox | base64 | plain</p>
                 </div>
 
                 <button onclick="result.value = null; status.value = ''" class="w-full py-3 bg-gray-700 hover:bg-gray-600 text-white font-semibold rounded-lg">
@@ -685,34 +1120,103 @@ function getHTML() {
           \`}
 
           <!-- Saved Accounts -->
-          \${accs.length > 0 ? \`
-            <div class="mt-6 bg-white/5 backdrop-blur-xl rounded-2xl p-8 border border-white/10 shadow-2xl">
-              <h2 class="text-xl font-bold text-white mb-4">Saved Accounts (\${accs.length})</h2>
-              <div class="space-y-3 max-h-96 overflow-y-auto">
-                \${accs.map((acc, i) => \`
-                  <div class="bg-white/5 rounded-xl p-4 flex justify-between items-start">
-                    <div class="flex-1">
-                      <p class="text-white font-mono text-xs mb-1">\${acc.uuid}</p>
-                      <p class="text-purple-300 text-xs">Server: \${acc.server}:\${acc.port}</p>
-                      <p class="text-gray-400 text-xs">SNI: \${acc.sni}</p>
-                    </div>
-                    <div class="flex gap-2">
-                      <button onclick="copy('\${acc.uuid}', 'acc-\${i}')" class="px-3 py-1 bg-purple-500/50 hover:bg-purple-500 rounded text-white text-sm">
-                        \${cp === \`acc-\${i}\` ? '✓' : '📋'}
-                      </button>
-                      <button onclick="deleteAccount('\${acc.uuid}')" class="px-3 py-1 bg-red-500/50 hover:bg-red-500 rounded text-white text-sm">
-                        🗑️
-                      </button>
-                    </div>
-                  </div>
-                \`).join('')}
+          <div class="mt-6 bg-white/5 backdrop-blur-xl rounded-2xl p-8 border border-white/10 shadow-2xl">
+            <div class="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <h2 class="text-xl font-bold text-white">Saved Accounts</h2>
+              <div class="flex gap-2">
+                <input
+                  type="search"
+                  value="\${query.q}"
+                  onchange="searchAccounts({ q: this.value.trim() })"
+                  placeholder="Search UUID, server, SNI"
+                  class="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                />
+                <select
+                  onchange="searchAccounts({ status: this.value })"
+                  class="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white text-sm focus:outline-none focus:ring-2 focus:ring-purple-500"
+                >
+                  \${['', 'active', 'expired', 'suspended'].map(value => \`
+                    <option value="\${value}" \${query.status === value ? 'selected' : ''} class="bg-slate-800">\${value || 'All status'}</option>
+                  \`).join('')}
+                </select>
               </div>
             </div>
-          \` : ''}
+
+            \${accs.length === 0 ? \`
+              <p class="text-gray-400 text-sm">No accounts found</p>
+            \` : \`
+              <div class="overflow-x-auto">
+                <table class="w-full text-left text-xs">
+                  <thead class="text-purple-200 border-b border-white/10">
+                    <tr>
+                      <th class="py-2 pr-3 font-medium">UUID</th>
+                      <th class="py-2 pr-3 font-medium">Server / SNI</th>
+                      <th class="py-2 pr-3 font-medium">Status</th>
+                      <th class="py-2 pr-3 font-medium">Usage</th>
+                      <th class="py-2 pr-3 font-medium">Sessions</th>
+                      <th class="py-2 font-medium"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    \${accs.map((acc, i) => \`
+                      <tr class="border-b border-white/5 align-top">
+                        <td class="py-2 pr-3">
+                          <p class="text-white font-mono">\${acc.uuid}</p>
+                          <p class="text-gray-400 uppercase">\${acc.protocol || 'vless'}</p>
+                        </td>
+                        <td class="py-2 pr-3">
+                          <p class="text-purple-300">\${acc.server}:\${acc.port}</p>
+                          <p class="text-gray-400">\${acc.sni || '-'}</p>
+                        </td>
+                        <td class="py-2 pr-3">
+                          <p class="\${acc.status === 'active' ? 'text-green-400' : 'text-yellow-400'} font-semibold">\${acc.status}</p>
+                          <p class="text-gray-400">\${remainingDays(acc)}</p>
+                        </td>
+                        <td class="py-2 pr-3 text-gray-400">\${usageText(acc)}</td>
+                        <td class="py-2 pr-3 text-gray-400">\${sessionText(acc)}</td>
+                        <td class="py-2">
+                          <div class="flex gap-2 justify-end">
+                            <button onclick="copy('\${acc.uuid}', 'acc-\${i}')" class="px-3 py-1 bg-purple-500/50 hover:bg-purple-500 rounded text-white text-sm">
+                              \${cp === \`acc-\${i}\` ? '✓' : '📋'}
+                            </button>
+                            \${acc.subToken ? \`
+                              <button onclick="copy('\${subUrl(acc)}', 'sub-\${i}')" title="Copy subscription URL" class="px-3 py-1 bg-blue-500/50 hover:bg-blue-500 rounded text-white text-sm">
+                                \${cp === \`sub-\${i}\` ? '✓' : '🔗'}
+                              </button>
+                            \` : ''}
+                            <button onclick="toggleSuspend('\${acc.uuid}', \${Boolean(acc.suspended)})" title="\${acc.suspended ? 'Resume' : 'Suspend'}" class="px-3 py-1 bg-yellow-500/50 hover:bg-yellow-500 rounded text-white text-sm">
+                              \${acc.suspended ? '▶️' : '⏸️'}
+                            </button>
+                            <button onclick="rotateAccount('\${acc.uuid}')" title="Rotate UUID" class="px-3 py-1 bg-indigo-500/50 hover:bg-indigo-500 rounded text-white text-sm">
+                              🔄
+                            </button>
+                            <button onclick="deleteAccount('\${acc.uuid}')" class="px-3 py-1 bg-red-500/50 hover:bg-red-500 rounded text-white text-sm">
+                              🗑️
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    \`).join('')}
+                  </tbody>
+                </table>
+              </div>
+            \`}
+
+            <div class="flex justify-between items-center mt-4">
+              <button onclick="prevPage()" \${pg.history.length === 0 ? 'disabled' : ''} class="px-4 py-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg text-white text-sm">
+                ← Prev
+              </button>
+              <span class="text-gray-400 text-xs">Page \${pg.history.length + 1}</span>
+              <button onclick="nextPage()" \${pg.next ? '' : 'disabled'} class="px-4 py-2 bg-white/10 hover:bg-white/20 disabled:opacity-40 rounded-lg text-white text-sm">
+                Next →
+              </button>
+            </div>
+          </div>
 
           <!-- Footer -->
           <div class="text-center mt-8">
             <p class="text-gray-400 text-sm">Powered by Cloudflare Workers • Full VLESS Protocol</p>
+            <button onclick="logout()" class="mt-2 text-sm text-purple-300 hover:text-white">Logout</button>
           </div>
         </div>
       \`;
@@ -721,7 +1225,14 @@ function getHTML() {
     // Make functions global
     window.createAccount = createAccount;
     window.copy = copy;
+    window.copyLink = copyLink;
     window.deleteAccount = deleteAccount;
+    window.toggleSuspend = toggleSuspend;
+    window.rotateAccount = rotateAccount;
+    window.searchAccounts = searchAccounts;
+    window.nextPage = nextPage;
+    window.prevPage = prevPage;
+    window.logout = logout;
 
     // Auto-render on state change
     effect(() => {
@@ -730,13 +1241,68 @@ function getHTML() {
       result.value;
       status.value;
       copied.value;
+      fieldErrors.value;
+      errorMessage.value;
+      listQuery.value;
+      page.value;
       render();
     });
 
-    // Initial load
+    // Initial load, lalu refresh berkala untuk sesi aktif & pemakaian
     loadAccounts();
+    setInterval(loadAccounts, 15000);
     render();
   </script>
 </body>
 </html>`;
 }
+
+function getLoginHTML() {
+  return `<!DOCTYPE html>
+<html lang="id">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>VLESS VPN - Login</title>
+  <script src="https://cdn.tailwindcss.com"></script>
+</head>
+<body class="bg-gradient-to-br from-slate-900 via-purple-900 to-slate-900 min-h-screen flex items-center justify-center">
+  <form id="login" class="w-full max-w-sm bg-white/5 backdrop-blur-xl rounded-2xl p-8 border border-white/10 shadow-2xl space-y-4">
+    <h1 class="text-2xl font-bold text-white text-center">Admin Login</h1>
+    <input
+      id="password"
+      type="password"
+      placeholder="Admin secret"
+      autocomplete="current-password"
+      class="w-full px-4 py-3 bg-white/5 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-purple-400"
+    />
+    <p id="error" class="text-sm text-red-400 hidden"></p>
+    <button class="w-full py-3 bg-gradient-to-r from-purple-500 to-pink-600 hover:from-purple-600 hover:to-pink-700 text-white font-semibold rounded-lg">
+      Login
+    </button>
+  </form>
+
+  <script>
+    document.getElementById('login').addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const error = document.getElementById('error');
+      const res = await fetch('/api/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password: document.getElementById('password').value })
+      });
+
+      // Login gagal dijawab decoy, jadi sukses dicek dari body JSON
+      const data = await res.json().catch(() => ({}));
+      if (res.ok && data.success) {
+        location.reload();
+        return;
+      }
+
+      error.textContent = 'Login failed';
+      error.classList.remove('hidden');
+    });
+  </script>
+</body>
+</html>`;
+}